@@ -0,0 +1,441 @@
+/* ==================================================================================
+   editor.js — in-browser editor (#/edit, ?edit=1) for the skills matrix.
+   - Edits skills, ratings and the profile into a per-profile localStorage draft.
+   - Exports the three JSON files (or one bundle) once they pass validateData().
+   Loaded before script.js, which calls install() with the helpers it uses.
+   ================================================================================== */
+
+(function () {
+  'use strict';
+
+  // From script.js, set by install(). `app` is kept for editorImport, which import.js adds later.
+  let app, DEFAULT_PROFILE, RATING_BANDS, RATING_MAX, SKILL_LINK_FIELDS, THEMES, $id, el, t, i18n,
+    isLocalizedText, localizedText, state, applyData, chip, clone, closePage, downloadFile, formatAge,
+    issueSummary, normalizeRatings, openPage, ratingName, refreshGrid, renderToolbar, showNotice,
+    validateData;
+
+  // -----------------------------
+  // Editor (#/edit, ?edit=1): edit skills, ratings and profile in the browser.
+  // Changes go to a per-profile draft in localStorage and are exported as the
+  // three JSON files (or one bundle) once they pass validateData().
+  // -----------------------------
+  const DRAFT_PREFIX = 'skills-matrix:draft:';
+
+  const EDITOR_USER_FIELDS = [
+    { path: 'name', label: 'field.name', type: 'text' },
+    { path: 'nickname', label: 'field.nickname', type: 'text' },
+    { path: 'title', label: 'field.title', type: 'text' },
+    { path: 'location', label: 'field.location', type: 'text' },
+    { path: 'profilePicture', label: 'field.profilePicture', type: 'text' },
+    { path: 'cvUrl', label: 'field.cvUrl', type: 'text' },
+    { path: 'about', label: 'field.about', type: 'textarea' },
+    { path: 'experience.currentRole', label: 'field.currentRole', type: 'text' },
+    { path: 'experience.workStatus', label: 'field.workStatus', type: 'text' },
+    { path: 'experience.startDate', label: 'field.careerStart', type: 'date' },
+    { path: 'experience.totalYears', label: 'field.totalYears', type: 'number' },
+    { path: 'contact.email', label: 'field.email', type: 'text' },
+    { path: 'contact.phone', label: 'field.phone', type: 'text' },
+    { path: 'contact.timezone', label: 'field.timezone', type: 'text' },
+    { path: 'contact.preferredContactMethod', label: 'field.preferredContact', type: 'text' },
+    { path: 'contact.availableForWork', label: 'field.availableForWork', type: 'checkbox' },
+    { path: 'skillCategories', label: 'field.skillCategories', type: 'rows', columns: ['id', 'name', 'description'] },
+    { path: 'socialLinks', label: 'field.socialLinks', type: 'rows', columns: ['platform', 'url', 'username'] },
+    { path: 'interests', label: 'field.interests', type: 'lines' },
+    { path: 'achievements', label: 'field.achievements', type: 'lines' },
+    { path: 'certifications', label: 'field.certifications', type: 'lines' },
+    { path: 'theme.default', label: 'field.themeDefault', type: 'select', options: () => Object.keys(THEMES) },
+    { path: 'theme.accent', label: 'field.themeAccent', type: 'text' }
+  ];
+
+  const EDITOR_SKILL_FIELDS = [
+    { path: 'id', label: 'field.id', type: 'text', required: true },
+    { path: 'name', label: 'field.name', type: 'text', required: true },
+    { path: 'categoryId', label: 'field.categoryId', type: 'select', options: () => ((editor.draft.user.skillCategories) || []).map(c => c.id) },
+    { path: 'category', label: 'field.category', type: 'text' },
+    { path: 'level', label: 'field.level', type: 'select', options: () => RATING_BANDS },
+    { path: 'tags', label: 'field.tags', type: 'tags' },
+    { path: 'priority', label: 'field.priority', type: 'number' },
+    { path: 'visible', label: 'field.visible', type: 'checkbox', defaultValue: true },
+    { path: 'startDate', label: 'field.startDate', type: 'date' },
+    { path: 'imageUrl', label: 'field.imageUrl', type: 'text' },
+    { path: 'description', label: 'field.description', type: 'textarea' },
+    { path: 'prerequisites', label: 'field.prerequisites', type: 'tags' },
+    { path: 'related', label: 'field.related', type: 'tags' },
+    { path: 'projects', label: 'field.projects', type: 'lines' },
+    { path: 'resources', label: 'field.resources', type: 'rows', columns: ['name', 'url'] }
+  ];
+
+  const editor = { draft: null, skillIndex: null, importPreview: null };
+
+  function getPath(obj, path) {
+    return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+  }
+
+  // Writes value at path; undefined deletes the key and prunes emptied parent objects
+  function setPath(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let target = obj;
+    const parents = [];
+    keys.forEach(k => {
+      if (!target[k] || typeof target[k] !== 'object') target[k] = {};
+      parents.push([target, k]);
+      target = target[k];
+    });
+    if (value === undefined) delete target[last];
+    else target[last] = value;
+    parents.reverse().forEach(([parent, k]) => {
+      if (parent[k] && !Object.keys(parent[k]).length) delete parent[k];
+    });
+  }
+
+  // Localized values ({ en, bn, ... }) are edited in the active locale only
+  function fieldInput(spec, value, idPrefix) {
+    const id = `${idPrefix}-${spec.path.replace(/\./g, '-')}`;
+    // 'rows' cells are resolved one by one below; the rows themselves are plain objects
+    if (spec.type !== 'rows') value = Array.isArray(value) ? value.map(localizedText) : localizedText(value);
+    let input;
+    switch (spec.type) {
+      case 'textarea':
+        input = el('textarea', { rows: 3 }, value || '');
+        break;
+      case 'lines':
+        input = el('textarea', { rows: 3 }, (value || []).join('\n'));
+        break;
+      case 'rows':
+        input = el('textarea', { rows: 3 }, (value || []).map(row => spec.columns.map(c => localizedText(row[c]) || '').join(' | ').replace(/( \| )+$/, '')).join('\n'));
+        break;
+      case 'tags':
+        input = el('input', { type: 'text', value: (value || []).join(', ') });
+        break;
+      case 'checkbox':
+        input = el('input', { type: 'checkbox' });
+        input.checked = value === undefined ? Boolean(spec.defaultValue) : Boolean(value);
+        break;
+      case 'select':
+        input = el('select', {}, el('option', { value: '' }, '—'), spec.options().map(o => el('option', { value: o }, o)));
+        if (value && !spec.options().includes(value)) input.append(el('option', { value }, value));
+        input.value = value || '';
+        break;
+      default:
+        input = el('input', { type: spec.type, value: value == null ? '' : String(value) });
+    }
+    input.id = id;
+    input.dataset.path = spec.path;
+    if (spec.type !== 'checkbox') input.className = 'toolbar-input w-full';
+    if (spec.required) input.required = true;
+    return el('div', { class: spec.type === 'checkbox' ? 'editor-field flex items-center gap-2' : 'editor-field' },
+      spec.type === 'checkbox' ? input : null,
+      el('label', { for: id, class: 'text-xs text-text-secondary' }, t(spec.label)),
+      spec.type === 'checkbox' ? null : input);
+  }
+
+  function readField(spec, input, previous) {
+    const raw = input.value.trim();
+    switch (spec.type) {
+      case 'checkbox':
+        if (spec.defaultValue !== undefined) return input.checked === spec.defaultValue ? undefined : input.checked;
+        // no default: an absent field stays absent until the box is ticked
+        return previous === undefined && !input.checked ? undefined : input.checked;
+      case 'number':
+        return raw === '' || isNaN(Number(raw)) ? undefined : Number(raw);
+      case 'lines': {
+        const lines = raw.split('\n').map(l => l.trim()).filter(Boolean);
+        return lines.length ? lines : undefined;
+      }
+      case 'tags': {
+        const tags = raw.split(',').map(t => t.trim()).filter(Boolean);
+        return tags.length ? tags : undefined;
+      }
+      case 'rows': {
+        const rows = raw.split('\n').map(l => l.trim()).filter(Boolean).map(line => {
+          const cells = line.split('|').map(c => c.trim());
+          const row = {};
+          spec.columns.forEach((c, i) => { if (cells[i]) row[c] = cells[i]; });
+          return row;
+        });
+        return rows.length ? rows : undefined;
+      }
+      default:
+        return raw === '' ? undefined : raw;
+    }
+  }
+
+  function readForm(form, specs, target) {
+    specs.forEach(spec => {
+      const input = form.querySelector(`[data-path="${spec.path}"]`);
+      if (!input) return;
+      const previous = getPath(target, spec.path);
+      const inLocale = (prev, v) => {
+        if (isLocalizedText(prev) && typeof v === 'string') return { ...prev, [i18n.locale]: v };
+        // 'rows' cells: keep the other locales of a localized name/title
+        if (spec.type === 'rows' && prev && typeof prev === 'object' && v && typeof v === 'object') {
+          const row = { ...v };
+          spec.columns.forEach(c => { if (row[c] !== undefined) row[c] = inLocale(prev[c], row[c]); });
+          return row;
+        }
+        return v;
+      };
+      let value = readField(spec, input, previous);
+      if (Array.isArray(previous) && Array.isArray(value)) value = value.map((v, i) => inLocale(previous[i], v));
+      else value = inLocale(previous, value);
+      setPath(target, spec.path, value);
+    });
+    return target;
+  }
+
+  function draftKey() {
+    return DRAFT_PREFIX + (state.profile ? state.profile.id : DEFAULT_PROFILE.id);
+  }
+
+  function loadDraft() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(draftKey()) || 'null');
+      return draft && draft.user && Array.isArray(draft.skills) && draft.ratings ? draft : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Persist the draft and re-render the page from it
+  function saveDraft() {
+    editor.draft.savedAt = Date.now();
+    try {
+      localStorage.setItem(draftKey(), JSON.stringify(editor.draft));
+    } catch (err) {
+      console.warn('Could not save draft to localStorage:', err);
+      showNotice(t('editor.saveFailed'));
+    }
+    applyDraft();
+  }
+
+  function applyDraft() {
+    applyData(clone(editor.draft.user), clone(editor.draft.skills), clone(editor.draft.ratings));
+    renderToolbar();
+    refreshGrid();
+    if (state.page === 'edit') renderEditor();
+  }
+
+  function enterEditMode() {
+    state.editing = true;
+    editor.draft = loadDraft() || { savedAt: null, ...clone(state.original) };
+    document.body.classList.add('edit-mode');
+    if ($id('edit-banner')) $id('edit-banner').hidden = false;
+    applyData(clone(editor.draft.user), clone(editor.draft.skills), clone(editor.draft.ratings));
+  }
+
+  function exitEditMode() {
+    state.editing = false;
+    editor.draft = null;
+    editor.skillIndex = null;
+    editor.importPreview = null;
+    document.body.classList.remove('edit-mode');
+    if ($id('edit-banner')) $id('edit-banner').hidden = true;
+    applyData(clone(state.original.user), clone(state.original.skills), clone(state.original.ratings));
+    renderToolbar();
+    if (state.page === 'edit') closePage();
+    refreshGrid();
+  }
+
+  // Flat ratings are overwritten; versioned ones get a dated entry for today
+  function setDraftRating(id, value) {
+    const current = editor.draft.ratings[id];
+    if (Array.isArray(current)) {
+      const today = new Date().toISOString().slice(0, 10);
+      const last = current[current.length - 1];
+      if (last && last.date === today) last.rating = value;
+      else current.push({ date: today, rating: value });
+    } else {
+      editor.draft.ratings[id] = value;
+    }
+    saveDraft();
+  }
+
+  function saveSkill(form) {
+    const skills = editor.draft.skills;
+    const index = editor.skillIndex;
+    const previous = index != null && index >= 0 ? skills[index] : null;
+    const skill = readForm(form, EDITOR_SKILL_FIELDS, clone(previous) || {});
+    if (!skill.id || !skill.name) {
+      showNotice(t('editor.needsIdName'));
+      return;
+    }
+    if (skills.some((s, i) => s.id === skill.id && i !== index)) {
+      showNotice(t('editor.duplicateId', { id: skill.id }));
+      return;
+    }
+    if (previous) {
+      if (previous.id !== skill.id && editor.draft.ratings[previous.id] !== undefined) {
+        editor.draft.ratings[skill.id] = editor.draft.ratings[previous.id];
+        delete editor.draft.ratings[previous.id];
+      }
+      if (previous.id !== skill.id) relinkSkill(skills, previous.id, skill.id);
+      skills[index] = skill;
+    } else {
+      skills.push(skill);
+    }
+    editor.skillIndex = null;
+    saveDraft();
+  }
+
+  // Point other skills' prerequisites/related at a renamed id, or drop the links when `to` is null
+  function relinkSkill(skills, from, to) {
+    skills.forEach(s => SKILL_LINK_FIELDS.forEach(field => {
+      if (!Array.isArray(s[field]) || !s[field].includes(from)) return;
+      const links = [...new Set(s[field].map(id => (id === from ? to : id)).filter(Boolean))];
+      if (links.length) s[field] = links;
+      else delete s[field];
+    }));
+  }
+
+  function deleteSkill(index) {
+    const skill = editor.draft.skills[index];
+    if (!skill || !window.confirm(t('editor.confirmDelete', { name: localizedText(skill.name) || skill.id }))) return;
+    editor.draft.skills.splice(index, 1);
+    delete editor.draft.ratings[skill.id];
+    relinkSkill(editor.draft.skills, skill.id, null);
+    if (editor.skillIndex === index) editor.skillIndex = null;
+    saveDraft();
+  }
+
+  function downloadJSON(filename, data) {
+    downloadFile(filename, `${JSON.stringify(data, null, 2)}\n`, 'application/json');
+  }
+
+  function fileName(path) {
+    return String(path).split('/').pop();
+  }
+
+  function editorSkillForm() {
+    const index = editor.skillIndex;
+    const skill = index != null && index >= 0 ? editor.draft.skills[index] : {};
+    const form = el('form', { class: 'chart-card grid grid-cols-1 md:grid-cols-2 gap-3 mb-4', novalidate: '' },
+      el('h4', { class: 'md:col-span-2 font-bold text-accent' }, index >= 0 ? t('editor.editTitle', { name: localizedText(skill.name) || skill.id }) : t('editor.newSkill')),
+      EDITOR_SKILL_FIELDS.map(spec => fieldInput(spec, getPath(skill, spec.path), 'skill-field')),
+      el('div', { class: 'md:col-span-2 flex gap-3' },
+        el('button', { type: 'submit', class: 'action-btn' }, t('editor.saveSkill')),
+        el('button', { type: 'button', class: 'filter-chip', onclick: () => { editor.skillIndex = null; renderEditor(); } }, t('editor.cancel'))));
+    form.querySelectorAll('.editor-field').forEach(f => {
+      if (/description|projects|resources/.test(f.querySelector('[data-path]').dataset.path)) f.classList.add('md:col-span-2');
+    });
+    form.addEventListener('submit', (ev) => { ev.preventDefault(); saveSkill(form); });
+    return form;
+  }
+
+  function editorSkillList() {
+    const rating = (s) => {
+      const r = normalizeRatings({ [s.id]: editor.draft.ratings[s.id] }).current[s.id];
+      return r === undefined ? '—' : String(r);
+    };
+    return el('table', { class: 'team-table' },
+      el('thead', {}, el('tr', {}, [t('col.skill'), t('col.id'), t('col.category'), t('col.rating'), t('col.visible'), ''].map(h => el('th', { scope: 'col' }, h)))),
+      el('tbody', {}, editor.draft.skills.map((s, i) => el('tr', {},
+        el('th', { scope: 'row' }, localizedText(s.name) || t('editor.unnamed')),
+        el('td', {}, s.id || ''),
+        el('td', {}, s.categoryId || s.category || ''),
+        el('td', {}, rating(s)),
+        el('td', {}, s.visible === false ? t('editor.no') : t('editor.yes')),
+        el('td', { class: 'flex gap-2' },
+          el('button', { type: 'button', class: 'filter-chip', onclick: () => { editor.skillIndex = i; renderEditor(); } }, t('editor.edit')),
+          el('button', { type: 'button', class: 'filter-chip', onclick: () => deleteSkill(i) }, t('editor.delete')))))));
+  }
+
+  function editorExport() {
+    const issues = validateData(editor.draft.user, editor.draft.skills, editor.draft.ratings);
+    const errors = issues.filter(i => i.level === 'error');
+    const profile = state.profile || DEFAULT_PROFILE;
+    const button = (label, onclick) => el('button', { type: 'button', class: 'action-btn', onclick, ...(errors.length ? { disabled: '' } : {}) }, label);
+    return el('section', { class: 'chart-card' },
+      el('h3', { class: 'font-bold text-accent mb-2' }, t('page.export')),
+      el('p', { class: 'text-xs text-text-secondary mb-3' },
+        issueSummary(errors.length, issues.length - errors.length),
+        errors.length ? t('editor.fixErrors') : ''),
+      errors.length ? el('ul', { class: 'text-xs mb-3' }, errors.map(i => el('li', { class: 'diagnostics-error' }, `${i.source} ${i.path}: ${i.message}`))) : null,
+      el('div', { class: 'flex flex-wrap gap-3' },
+        button(t('editor.download', { file: fileName(profile.user) }), () => downloadJSON(fileName(profile.user), editor.draft.user)),
+        button(t('editor.download', { file: fileName(profile.skills) }), () => downloadJSON(fileName(profile.skills), editor.draft.skills)),
+        button(t('editor.download', { file: fileName(profile.ratings) }), () => downloadJSON(fileName(profile.ratings), editor.draft.ratings)),
+        button(t('editor.downloadBundle'), () => downloadJSON(`${profile.id}-skills-bundle.json`, { user: editor.draft.user, skills: editor.draft.skills, ratings: editor.draft.ratings }))));
+  }
+
+  function renderEditor() {
+    const root = $id('editor');
+    if (!root) return;
+    if (!state.editing) enterEditMode();
+    root.innerHTML = '';
+
+    const profileForm = el('form', { class: 'grid grid-cols-1 md:grid-cols-2 gap-3 mt-4', novalidate: '' },
+      EDITOR_USER_FIELDS.map(spec => fieldInput(spec, getPath(editor.draft.user, spec.path), 'user-field')),
+      el('div', { class: 'md:col-span-2' }, el('button', { type: 'submit', class: 'action-btn' }, t('editor.saveProfile'))));
+    profileForm.querySelectorAll('textarea').forEach(t => t.closest('.editor-field').classList.add('md:col-span-2'));
+    profileForm.addEventListener('submit', (ev) => {
+      ev.preventDefault();
+      readForm(profileForm, EDITOR_USER_FIELDS, editor.draft.user);
+      saveDraft();
+    });
+
+    root.append(
+      el('p', { class: 'text-sm text-text-secondary mb-4' },
+        editor.draft.savedAt ? t('editor.savedAt', { age: formatAge(Date.now() - editor.draft.savedAt) }) : t('editor.noChanges'),
+        ' ',
+        el('button', { type: 'button', class: 'filter-chip', onclick: () => {
+          if (!window.confirm(t('editor.confirmDiscard'))) return;
+          localStorage.removeItem(draftKey());
+          editor.draft = { savedAt: null, ...clone(state.original) };
+          applyDraft();
+        } }, t('editor.discard'))),
+      el('details', { class: 'chart-card mb-4' }, el('summary', { class: 'font-bold text-accent' }, t('editor.profile', { file: fileName((state.profile || DEFAULT_PROFILE).user) })), profileForm),
+      el('section', { class: 'chart-card mb-4 overflow-x-auto' },
+        el('div', { class: 'flex items-center justify-between mb-3' },
+          el('h3', { class: 'font-bold text-accent' }, t('editor.skills', { count: editor.draft.skills.length })),
+          el('button', { type: 'button', class: 'filter-chip', onclick: () => { editor.skillIndex = -1; renderEditor(); } }, t('editor.addSkill'))),
+        editor.skillIndex != null ? editorSkillForm() : null,
+        editorSkillList()),
+      app.editorImport(),
+      editorExport()
+    );
+    const first = root.querySelector('#skill-field-id');
+    if (first) first.focus();
+  }
+
+  function setupEditor() {
+    if ($id('edit-btn')) $id('edit-btn').addEventListener('click', () => {
+      if (!state.editing) {
+        enterEditMode();
+        renderToolbar();
+        refreshGrid();
+      }
+      openPage('edit', { push: true });
+    });
+    if ($id('edit-open-btn')) $id('edit-open-btn').addEventListener('click', () => openPage('edit', { push: true }));
+    if ($id('edit-exit-btn')) $id('edit-exit-btn').addEventListener('click', exitEditMode);
+
+    // rating slider inside the skill modal (edit mode only)
+    const slider = $id('modal-rating-input');
+    if (slider) {
+      slider.addEventListener('input', () => {
+        const v = Number(slider.value);
+        if ($id('modal-rating-bar')) $id('modal-rating-bar').style.width = `${(v / RATING_MAX) * 100}%`;
+        if ($id('modal-rating-text')) $id('modal-rating-text').textContent = `${v}/10 • ${ratingName(v)}`;
+      });
+      slider.addEventListener('change', () => {
+        if (state.editing && state.openSkillId) setDraftRating(state.openSkillId, Number(slider.value));
+      });
+    }
+  }
+
+  window.SkillsMatrix = window.SkillsMatrix || {};
+  window.SkillsMatrix.editor = {
+    install(shared) {
+      app = shared;
+      ({
+        DEFAULT_PROFILE, RATING_BANDS, RATING_MAX, SKILL_LINK_FIELDS, THEMES, $id, el, t, i18n,
+        isLocalizedText, localizedText, state, applyData, chip, clone, closePage, downloadFile, formatAge,
+        issueSummary, normalizeRatings, openPage, ratingName, refreshGrid, renderToolbar, showNotice,
+        validateData
+      } = shared);
+      return { editor, applyDraft, enterEditMode, fileName, renderEditor, saveDraft, setupEditor };
+    }
+  };
+
+})();
@@ -0,0 +1,221 @@
+/* ==================================================================================
+   export.js — toolbar export menu for the skills matrix.
+   - JSON Resume, Markdown table, CSV and shields-style SVG badges built from the
+     skills currently shown (visible + filtered).
+   Loaded before script.js, which calls install() with the helpers it uses.
+   ================================================================================== */
+
+(function () {
+  'use strict';
+
+  // From script.js, set by install()
+  let SORT_MODES, $id, el, t, state, categoryKey, chip, downloadFile, filteredSkills,
+    hasActiveFilters, isRated, parseCertification, ratingLabel, slugify;
+
+  // -----------------------------
+  // Export (toolbar menu): JSON Resume, Markdown table, CSV and shields-style
+  // SVG badges built from the skills currently shown (visible + filtered).
+  // -----------------------------
+  // Unrated has no --band-* colour (it is drawn as a dashed outline), so badges use a neutral grey
+  const BADGE_UNRATED_COLOR = '#9f9f9f';
+
+  // Badge fill for a ratingLabel bucket, read from the theme's --band-* variables and
+  // resolved to rgb() so the downloaded SVG does not depend on the page's CSS.
+  function badgeColor(level) {
+    const value = level === 'Unrated' ? ''
+      : getComputedStyle(document.documentElement).getPropertyValue(`--band-${level.toLowerCase()}`).trim();
+    const probe = el('span', { style: `color: ${value || BADGE_UNRATED_COLOR}` });
+    document.body.append(probe);
+    const rgb = (getComputedStyle(probe).color.match(/[\d.]+/g) || []).slice(0, 3).map(Number);
+    probe.remove();
+    return rgb.length === 3 ? rgb : [159, 159, 159];
+  }
+
+  // WCAG relative luminance of an [r, g, b] colour
+  function luminance(rgb) {
+    const [r, g, b] = rgb.map(v => {
+      const c = v / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  function exportLevel(skill) {
+    return isRated(skill, state.ratings) ? ratingLabel(state.ratings[skill.id]) : 'Unrated';
+  }
+
+  // [{ key, title, skills }] in the same order as the grid
+  function exportGroups() {
+    const sortMode = SORT_MODES[state.sort] || SORT_MODES.priority;
+    const groups = new Map();
+    filteredSkills().filter(s => s.visible !== false).forEach(s => {
+      const key = categoryKey(s);
+      if (!groups.has(key)) groups.set(key, { key, title: state.categoriesMap[key] || s.category || key, skills: [] });
+      groups.get(key).skills.push(s);
+    });
+    return [...groups.values()]
+      .sort((a, b) => a.title.localeCompare(b.title))
+      .map(g => ({ ...g, skills: g.skills.sort((a, b) => sortMode.compare(a, b, state.ratings) || (a.name || '').localeCompare(b.name || '')) }));
+  }
+
+  function categoryLevel(skills) {
+    const rated = skills.filter(s => isRated(s, state.ratings));
+    if (!rated.length) return 'Unrated';
+    return ratingLabel(Math.round(rated.reduce((sum, s) => sum + state.ratings[s.id], 0) / rated.length));
+  }
+
+  function csvCell(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function markdownCell(value) {
+    return String(value == null ? '' : value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+  }
+
+  const EXPORT_FORMATS = {
+    jsonresume: {
+      label: 'export.jsonresume',
+      file: 'resume.json',
+      type: 'application/json',
+      build(groups) {
+        const user = state.user || {};
+        const contact = user.contact || {};
+        const experience = user.experience || {};
+        const resume = {
+          $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+          basics: {
+            name: user.name,
+            label: user.title,
+            image: user.profilePicture,
+            email: contact.email,
+            phone: contact.phone,
+            summary: user.about,
+            location: user.location ? { address: user.location } : undefined,
+            profiles: (user.socialLinks || []).map(l => ({ network: l.platform, username: l.username, url: l.url }))
+          },
+          work: experience.currentRole ? [{ position: experience.currentRole, startDate: experience.startDate }] : undefined,
+          // one entry per category so importing the file back yields the same skills
+          skills: groups.map(g => ({ name: g.title, level: categoryLevel(g.skills), keywords: g.skills.map(s => s.name) })),
+          // only earned certificates; roadmap entries ("Planned", "In Progress", ...) are not claims
+          certificates: (user.certifications || []).map(parseCertification)
+            .filter(c => c.status === 'Completed').map(c => ({ name: c.name })),
+          interests: (user.interests || []).map(name => ({ name })),
+          meta: { lastModified: new Date().toISOString() }
+        };
+        return `${JSON.stringify(resume, null, 2)}\n`;
+      }
+    },
+    markdown: {
+      label: 'export.markdown',
+      file: 'skills.md',
+      type: 'text/markdown',
+      build(groups) {
+        const lines = ['| Skill | Category | Level | Rating | Since |', '| --- | --- | --- | --- | --- |'];
+        groups.forEach(g => g.skills.forEach(s => {
+          const rating = isRated(s, state.ratings) ? `${state.ratings[s.id]}/10` : '—';
+          lines.push(`| ${[s.name, g.title, exportLevel(s), rating, s.startDate ? s.startDate.slice(0, 4) : ''].map(markdownCell).join(' | ')} |`);
+        }));
+        return `${lines.join('\n')}\n`;
+      }
+    },
+    csv: {
+      label: 'export.csv',
+      file: 'skills.csv',
+      type: 'text/csv',
+      build(groups) {
+        const rows = [['id', 'name', 'category', 'level', 'rating', 'startDate', 'tags']];
+        groups.forEach(g => g.skills.forEach(s => {
+          rows.push([s.id, s.name, g.title, exportLevel(s), isRated(s, state.ratings) ? state.ratings[s.id] : '', s.startDate, (s.tags || []).join(';')]);
+        }));
+        return `${rows.map(r => r.map(csvCell).join(',')).join('\r\n')}\r\n`;
+      }
+    }
+  };
+
+  // Approximate Verdana 11px width: per code point, emoji about twice as wide,
+  // combining marks, joiners and variation selectors take no space
+  function badgeTextWidth(text) {
+    const width = [...text].reduce((w, ch) => {
+      if (/[\p{M}\u200d\ufe0e\ufe0f]/u.test(ch)) return w;
+      return w + (/\p{Extended_Pictographic}/u.test(ch) ? 14 : 6.5);
+    }, 0);
+    return Math.round(width) + 10;
+  }
+
+  // Flat shields.io-style badge; color is an [r, g, b] fill for the message side
+  function badgeSvg(label, message, color) {
+    const fill = `rgb(${color.join(', ')})`;
+    // dark text on light fills, white on dark ones (contrast crossover at L ≈ 0.18)
+    const textFill = luminance(color) > 0.179 ? '#0b0f14' : '#fff';
+    const lw = badgeTextWidth(label), mw = badgeTextWidth(message), w = lw + mw;
+    const esc = (t) => t.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="20" role="img" aria-label="${esc(label)}: ${esc(message)}">
+  <title>${esc(label)}: ${esc(message)}</title>
+  <linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>
+  <clipPath id="r"><rect width="${w}" height="20" rx="3" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${lw}" height="20" fill="#555"/>
+    <rect x="${lw}" width="${mw}" height="20" fill="${fill}"/>
+    <rect width="${w}" height="20" fill="url(#s)"/>
+  </g>
+  <g text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+    <text x="${lw / 2}" y="14" fill="#fff">${esc(label)}</text>
+    <text x="${lw + mw / 2}" y="14" fill="${textFill}">${esc(message)}</text>
+  </g>
+</svg>
+`;
+  }
+
+  function renderExportMenu() {
+    const panel = $id('export-panel');
+    if (!panel) return;
+    const groups = exportGroups();
+    const count = groups.reduce((n, g) => n + g.skills.length, 0);
+    panel.innerHTML = '';
+
+    const badgeSelect = el('select', { id: 'export-badge-target', class: 'toolbar-input w-full' },
+      el('optgroup', { label: t('export.categories') }, groups.map(g => el('option', { value: `category:${g.key}` }, g.title))),
+      el('optgroup', { label: t('export.skills') }, groups.flatMap(g => g.skills).map(s => el('option', { value: `skill:${s.id}` }, s.name))));
+    const downloadBadge = () => {
+      const [kind, key] = badgeSelect.value.split(/:(.*)/);
+      const group = kind === 'category' && groups.find(g => g.key === key);
+      const skill = kind === 'skill' && state.skills.find(s => s.id === key);
+      if (!group && !skill) return;
+      const level = group ? categoryLevel(group.skills) : exportLevel(skill);
+      const label = group ? group.title : skill.name;
+      downloadFile(`${slugify(label) || 'badge'}-badge.svg`, badgeSvg(label, level, badgeColor(level)), 'image/svg+xml');
+    };
+
+    panel.append(
+      el('p', { class: 'text-xs text-text-secondary mb-2' },
+        t(hasActiveFilters() ? 'export.countFiltered' : 'export.count', { skills: t('count.skills', { count }) })),
+      el('div', { class: 'flex flex-col gap-2 mb-3' }, Object.values(EXPORT_FORMATS).map(fmt =>
+        el('button', { type: 'button', class: 'filter-chip text-left', ...(count ? {} : { disabled: '' }), onclick: () => downloadFile(fmt.file, fmt.build(groups), fmt.type) },
+          `${t(fmt.label)} (${fmt.file})`))),
+      el('label', { for: 'export-badge-target', class: 'text-xs text-text-secondary' }, t('export.badge')),
+      el('div', { class: 'flex gap-2 mt-1' }, badgeSelect,
+        el('button', { type: 'button', class: 'filter-chip', ...(count ? {} : { disabled: '' }), onclick: downloadBadge }, t('export.download')))
+    );
+  }
+
+  function setupExportMenu() {
+    const menu = $id('export-menu');
+    if (!menu) return;
+    // built on open so it always reflects the current filter
+    menu.addEventListener('toggle', () => { if (menu.open) renderExportMenu(); });
+    document.addEventListener('click', (ev) => { if (menu.open && !menu.contains(ev.target)) menu.open = false; });
+  }
+
+  window.SkillsMatrix = window.SkillsMatrix || {};
+  window.SkillsMatrix.export = {
+    install(app) {
+      ({
+        SORT_MODES, $id, el, t, state, categoryKey, chip, downloadFile, filteredSkills,
+        hasActiveFilters, isRated, parseCertification, ratingLabel, slugify
+      } = app);
+      return { setupExportMenu };
+    }
+  };
+
+})();
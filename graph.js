@@ -0,0 +1,236 @@
+/* ==================================================================================
+   graph.js — skill relationship graph (?view=graph) for the skills matrix.
+   - Force-directed network of skill.prerequisites / skill.related links, clustered by
+     category; prerequisite links are arrows, related links plain lines.
+   - Nodes can be dragged; hover or focus dims everything not linked to the node.
+   Loaded before script.js, which calls install() with the helpers it uses.
+   ================================================================================== */
+
+(function () {
+  'use strict';
+
+  // From script.js, set by install()
+  let $id, el, svgEl, t, state, RATING_MAX, categoryColor, categoryKey, categoryLegend,
+    isRated, ratingName, renderFilteredStats, showSkill, skillEdges;
+
+  // -----------------------------
+  // Graph view: force-directed skill network, clustered by category.
+  // Layout is seeded deterministically so the same data always settles the same way.
+  // -----------------------------
+  const GRAPH_WIDTH = 960;
+  const GRAPH_HEIGHT = 640;
+  const GRAPH_MARGIN = 24;
+  const GRAPH_TICKS = 300;
+  const GRAPH_REPULSION = 1200;
+  const GRAPH_LINK_DISTANCE = 70;
+  const GRAPH_LINK_STRENGTH = 0.05;
+  const GRAPH_CLUSTER_STRENGTH = 0.03;
+
+  let graphLayoutCache = null; // { key, positions } of the last settled layout
+
+  function graphNodeRadius(rating) {
+    return 5 + Math.min(10, Math.max(0, rating)) * 0.8;
+  }
+
+  function graphLayout(skills, edges) {
+    const keys = [...new Set(skills.map(categoryKey))].sort();
+    const spread = keys.length > 1 ? Math.min(GRAPH_WIDTH, GRAPH_HEIGHT) * 0.34 : 0;
+    const centers = {};
+    keys.forEach((k, i) => {
+      const angle = (i / keys.length) * 2 * Math.PI;
+      centers[k] = { x: GRAPH_WIDTH / 2 + spread * Math.cos(angle), y: GRAPH_HEIGHT / 2 + spread * Math.sin(angle) };
+    });
+
+    const seen = {};
+    const nodes = skills.map(skill => {
+      const key = categoryKey(skill);
+      const n = seen[key] = (seen[key] || 0) + 1;
+      // golden-angle spiral around the category center
+      const angle = n * 2.39996;
+      const c = centers[key];
+      // unrated skills (rating null) get a mid-size node instead of the 0/10 size
+      const rating = isRated(skill, state.ratings) ? state.ratings[skill.id] : null;
+      return { skill, key, rating, r: graphNodeRadius(rating == null ? RATING_MAX / 2 : rating), x: c.x + 8 * Math.sqrt(n) * Math.cos(angle), y: c.y + 8 * Math.sqrt(n) * Math.sin(angle), vx: 0, vy: 0, fixed: false };
+    });
+    const byId = new Map(nodes.map(n => [n.skill.id, n]));
+    const links = edges.map(e => ({ ...e, a: byId.get(e.source), b: byId.get(e.target) }));
+
+    // The simulation is O(n²) per tick, so reuse the settled positions until the
+    // nodes, their sizes or the edges change (re-renders, unrelated draft saves)
+    const key = JSON.stringify([nodes.map(n => [n.skill.id, n.key, n.r]), edges.map(e => [e.source, e.target])]);
+    if (graphLayoutCache && graphLayoutCache.key === key) {
+      nodes.forEach(n => Object.assign(n, graphLayoutCache.positions.get(n.skill.id)));
+    } else {
+      for (let i = 0; i < GRAPH_TICKS; i++) tickGraph(nodes, links, centers, 1 - i / GRAPH_TICKS);
+      graphLayoutCache = { key, positions: new Map(nodes.map(n => [n.skill.id, { x: n.x, y: n.y }])) };
+    }
+    return { nodes, links, centers };
+  }
+
+  function tickGraph(nodes, links, centers, alpha) {
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = nodes[i], b = nodes[j];
+        let dx = b.x - a.x, dy = b.y - a.y;
+        if (!dx && !dy) { dx = 0.1 * (j - i); dy = 0.1; }
+        const d2 = Math.max(dx * dx + dy * dy, 1);
+        const f = GRAPH_REPULSION * alpha / d2;
+        const d = Math.sqrt(d2);
+        a.vx -= f * dx / d; a.vy -= f * dy / d;
+        b.vx += f * dx / d; b.vy += f * dy / d;
+      }
+    }
+    links.forEach(({ a, b }) => {
+      const dx = b.x - a.x, dy = b.y - a.y;
+      const d = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+      const f = (d - GRAPH_LINK_DISTANCE) * GRAPH_LINK_STRENGTH * alpha;
+      a.vx += f * dx / d; a.vy += f * dy / d;
+      b.vx -= f * dx / d; b.vy -= f * dy / d;
+    });
+    nodes.forEach(n => {
+      const c = centers[n.key];
+      n.vx += (c.x - n.x) * GRAPH_CLUSTER_STRENGTH * alpha;
+      n.vy += (c.y - n.y) * GRAPH_CLUSTER_STRENGTH * alpha;
+      if (n.fixed) { n.vx = n.vy = 0; return; }
+      n.vx *= 0.6; n.vy *= 0.6;
+      n.x = Math.max(GRAPH_MARGIN, Math.min(GRAPH_WIDTH - GRAPH_MARGIN, n.x + n.vx));
+      n.y = Math.max(GRAPH_MARGIN, Math.min(GRAPH_HEIGHT - GRAPH_MARGIN, n.y + n.vy));
+    });
+  }
+
+  function renderSkillGraph(skills) {
+    const main = $id('skills-main');
+    if (!main) return;
+    main.innerHTML = '';
+
+    const items = skills.filter(s => s.visible !== false);
+    renderFilteredStats(skills);
+
+    if (!items.length) {
+      main.append(el('p', { class: 'text-center text-text-secondary py-16' }, t('grid.empty')));
+      return;
+    }
+
+    const { nodes, links, centers } = graphLayout(items, skillEdges(items));
+    const neighbours = new Map(nodes.map(n => [n.skill.id, new Set([n.skill.id])]));
+    links.forEach(({ a, b }) => {
+      neighbours.get(a.skill.id).add(b.skill.id);
+      neighbours.get(b.skill.id).add(a.skill.id);
+    });
+
+    const svg = svgEl('svg', {
+      class: 'graph-svg',
+      viewBox: `0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`,
+      role: 'list',
+      'aria-label': t('graph.label')
+    },
+      svgEl('defs', {},
+        svgEl('marker', { id: 'graph-arrow', viewBox: '0 0 10 10', refX: 9, refY: 5, markerWidth: 7, markerHeight: 7, orient: 'auto-start-reverse' },
+          svgEl('path', { d: 'M0,0 L10,5 L0,10 z', class: 'graph-arrow' })))
+    );
+
+    const highlight = (id) => {
+      const near = id ? neighbours.get(id) : null;
+      nodes.forEach(n => n.el.classList.toggle('dimmed', Boolean(near) && !near.has(n.skill.id)));
+      links.forEach(l => l.el.classList.toggle('dimmed', Boolean(id) && l.a.skill.id !== id && l.b.skill.id !== id));
+    };
+
+    // Lines stop at the target's edge so prerequisite arrows stay visible
+    const place = () => {
+      links.forEach(l => {
+        const dx = l.b.x - l.a.x, dy = l.b.y - l.a.y;
+        const d = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+        ['x1', 'y1', 'x2', 'y2'].forEach((attr, i) => l.el.setAttribute(attr, [
+          l.a.x, l.a.y, l.b.x - dx / d * (l.b.r + 2), l.b.y - dy / d * (l.b.r + 2)
+        ][i].toFixed(1)));
+      });
+      nodes.forEach(n => n.el.setAttribute('transform', `translate(${n.x.toFixed(1)},${n.y.toFixed(1)})`));
+    };
+
+    links.forEach(l => {
+      l.el = svgEl('line', {
+        class: `graph-link graph-link-${l.kind}`,
+        'marker-end': l.kind === 'prerequisite' ? 'url(#graph-arrow)' : null
+      });
+      svg.append(l.el);
+    });
+
+    let drag = null;
+    const toGraph = (ev) => {
+      const box = svg.getBoundingClientRect();
+      return {
+        x: (ev.clientX - box.left) * GRAPH_WIDTH / (box.width || GRAPH_WIDTH),
+        y: (ev.clientY - box.top) * GRAPH_HEIGHT / (box.height || GRAPH_HEIGHT)
+      };
+    };
+
+    nodes.forEach(n => {
+      const count = neighbours.get(n.skill.id).size - 1;
+      const connections = t('graph.links', { count });
+      const label = n.rating == null
+        ? t('graph.nodeUnrated', { name: n.skill.name, links: connections })
+        : t('graph.node', { name: n.skill.name, rating: n.rating, level: ratingName(n.rating), links: connections });
+      const open = () => showSkill(n.skill.id, { push: true });
+      n.el = svgEl('g', {
+        class: n.rating == null ? 'graph-node unrated' : 'graph-node', tabindex: 0, role: 'listitem', 'aria-label': label, 'data-skill-id': n.skill.id,
+        onclick: () => { if (!drag || !drag.moved) open(); },
+        onkeydown: (ev) => { if (ev.key === 'Enter' || ev.key === ' ') { ev.preventDefault(); open(); } },
+        onmouseenter: () => highlight(n.skill.id),
+        onmouseleave: () => highlight(null),
+        onfocus: () => highlight(n.skill.id),
+        onblur: () => highlight(null),
+        onpointerdown: (ev) => {
+          drag = { node: n, start: toGraph(ev), moved: false };
+          n.fixed = true;
+          if (n.el.setPointerCapture) n.el.setPointerCapture(ev.pointerId);
+        },
+        onpointermove: (ev) => {
+          if (!drag || drag.node !== n) return;
+          const p = toGraph(ev);
+          if (!drag.moved && Math.hypot(p.x - drag.start.x, p.y - drag.start.y) < 4) return;
+          drag.moved = true;
+          n.x = Math.max(GRAPH_MARGIN, Math.min(GRAPH_WIDTH - GRAPH_MARGIN, p.x));
+          n.y = Math.max(GRAPH_MARGIN, Math.min(GRAPH_HEIGHT - GRAPH_MARGIN, p.y));
+          for (let i = 0; i < 3; i++) tickGraph(nodes, links, centers, 0.2);
+          place();
+        },
+        onpointerup: () => {
+          n.fixed = false;
+          // keep `drag` until the click that follows, so a drag doesn't open the modal
+          setTimeout(() => { drag = null; }, 0);
+        }
+      },
+        svgEl('title', {}, label),
+        svgEl('circle', { r: n.r, fill: categoryColor(n.key), 'fill-opacity': n.rating == null ? 0.15 : 0.35 + 0.05 * Math.min(10, n.rating) }),
+        svgEl('text', { x: n.r + 4, y: 4, class: 'graph-label' }, n.skill.name)
+      );
+      svg.append(n.el);
+    });
+    place();
+
+    main.append(el('section', { class: 'bg-secondary p-4 rounded-lg border border-border-color' },
+      el('header', { class: 'mb-4 flex flex-wrap items-center justify-between gap-3' },
+        el('h3', { class: 'text-lg font-bold text-accent' }, t('graph.title')),
+        el('div', { class: 'flex gap-4 items-center text-xs text-text-secondary' },
+          el('span', { class: 'graph-key graph-key-prerequisite' }, t('graph.prerequisite')),
+          el('span', { class: 'graph-key graph-key-related' }, t('graph.related')),
+          el('span', {}, t('graph.hint'))
+        )
+      ),
+      categoryLegend(items),
+      el('div', { class: 'graph-scroll' }, svg)
+    ));
+  }
+
+  window.SkillsMatrix = window.SkillsMatrix || {};
+  window.SkillsMatrix.graph = {
+    install(app) {
+      ({
+        $id, el, svgEl, t, state, RATING_MAX, categoryColor, categoryKey, categoryLegend,
+        isRated, ratingName, renderFilteredStats, showSkill, skillEdges
+      } = app);
+      return { renderSkillGraph };
+    }
+  };
+
+})();
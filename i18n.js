@@ -0,0 +1,354 @@
+/* ==================================================================================
+   i18n.js — message catalog and lookup for the skills matrix.
+   - English messages are built in; other languages come from locales/<code>.json
+     (loaded by script.js and merged over English).
+   - Plural forms via Intl.PluralRules, {name} placeholders.
+   - Per-locale text in the data files: { "en": "...", "bn": "..." }.
+   Loaded before script.js, which reads what it needs from window.SkillsMatrix.i18n.
+   ================================================================================== */
+
+(function () {
+  'use strict';
+
+  const DEFAULT_LOCALE = 'en';
+  const LOCALE_KEY = 'skills-matrix:locale';
+  const LOCALES = { en: 'English', bn: 'বাংলা', hi: 'हिन्दी' };
+
+  // Plural entries are { one, other, ... } keyed by Intl.PluralRules categories
+  const MESSAGES_EN = {
+    'loader.loading': 'Loading...',
+    'loader.init': 'Initializing skill matrix... Accessing data nodes...',
+    'loader.skillsMalformed': 'Error: skills.json malformed — check console.',
+    'loader.ratingsMalformed': 'Error: ratings.json malformed — check console.',
+    'band.beginner': 'Beginner',
+    'band.intermediate': 'Intermediate',
+    'band.advanced': 'Advanced',
+    'band.expert': 'Expert',
+    'band.unrated': 'Unrated',
+    'count.skills': { one: '{count} skill', other: '{count} skills' },
+    'count.ratings': { one: '{count} rating', other: '{count} ratings' },
+    'count.profiles': { one: '{count} profile', other: '{count} profiles' },
+    'grid.empty': 'No skills match the current filters.',
+    'card.open': '{name} — {level}. Open details',
+    'card.logo': '{name} logo',
+    'filter.category': 'Category',
+    'filter.level': 'Level',
+    'filter.tag': 'Tag',
+    'sort.priority': 'Priority',
+    'sort.rating': 'Rating',
+    'sort.experience': 'Experience',
+    'sort.alpha': 'A → Z',
+    'timeline.empty': 'No skills with a start date match the current filters.',
+    'timeline.title': 'Experience Timeline',
+    'timeline.label': 'Skill timeline',
+    'timeline.zoomTo': 'Zoom to {year}',
+    'timeline.career': 'Career',
+    'timeline.careerRole': 'Career: {role}',
+    'timeline.row': '{name}, since {date}, {rating}/10 {level}',
+    'timeline.rowUnrated': '{name}, since {date}, unrated',
+    'timeline.zoom': 'Zoom',
+    'timeline.zoomOut': 'Zoom out',
+    'timeline.zoomIn': 'Zoom in',
+    'timeline.fit': 'Fit',
+    'timeline.fitLabel': 'Show all years',
+    'graph.title': 'Skill network',
+    'graph.label': 'Skill relationship graph',
+    'graph.node': '{name}, {rating}/10 {level}, {links}',
+    'graph.nodeUnrated': '{name}, unrated, {links}',
+    'graph.links': { one: '{count} connection', other: '{count} connections' },
+    'graph.prerequisite': 'Prerequisite',
+    'graph.related': 'Related',
+    'graph.hint': 'Drag to rearrange • click to open',
+    'overview.averages': 'Category averages',
+    'overview.averagesNote': 'Mean of rated skills • {rated} of {total} categories have ratings',
+    'overview.noRated': 'No rated skills yet.',
+    'overview.distribution': 'Rating distribution',
+    'overview.distributionNote': '{rated} rated • {unrated} unrated',
+    'overview.categoryNote': '{rated} of {total} rated',
+    'overview.topShown': ' • top {count} shown',
+    'overview.unrated': 'Unrated: ',
+    'histogram.na': 'n/a',
+    'histogram.rated': 'Rated {rating}: {skills}',
+    'histogram.unrated': 'Unrated: {skills}',
+    'trend.sparkline': 'Rating went from {from} on {fromDate} to {to} on {toDate}',
+    'trend.delta': '{delta} since {date} ({ratings})',
+    'trend.since': 'since {date}',
+    'modal.uncategorized': 'Uncategorized',
+    'modal.noProjects': 'No projects listed.',
+    'modal.noResources': 'No resources available.',
+    'modal.link': 'link',
+    'modal.setRating': 'Set rating (draft)',
+    'related.prerequisites': 'Builds on',
+    'related.leadsTo': 'Leads to',
+    'related.related': 'Related',
+    'related.hidden': '{name} is hidden on this profile',
+    'notice.skillNotFound': 'Skill “{id}” was not found.',
+    'notice.profileNotFound': 'Profile “{id}” was not found.',
+    'resume.profile': 'Profile',
+    'resume.experience': 'Experience',
+    'resume.skills': 'Skills',
+    'resume.projects': 'Selected Projects',
+    'resume.achievements': 'Achievements',
+    'resume.certifications': 'Certifications',
+    'resume.interests': 'Interests',
+    'resume.since': 'since {date}',
+    'resume.years': { one: '{count}+ year', other: '{count}+ years' },
+    'extras.available': 'Available for work',
+    'extras.unavailable': 'Not available for work',
+    'extras.preferred': ' (preferred)',
+    'extras.clock': 'Local time for {name}: {time} ({zone}) — {difference}. Your time: {local}.',
+    'extras.me': 'me',
+    'extras.timezone': 'Timezone: {zone}',
+    'extras.sameTime': 'same time as you',
+    'extras.ahead': '{time} ahead of you',
+    'extras.behind': '{time} behind you',
+    'cert.completed': 'Completed',
+    'cert.in-progress': 'In Progress',
+    'cert.planned': 'Planned',
+    'cert.long-term-goal': 'Long-term goal',
+    'age.justNow': 'just now',
+    'age.minutes': '{count} min ago',
+    'age.hours': '{count} h ago',
+    'age.days': { one: '{count} day ago', other: '{count} days ago' },
+    'status.newer': 'Newer data is available. ',
+    'status.reload': 'Reload',
+    'status.showing': 'Showing {via} data from {age}',
+    'status.offline': 'Offline — showing {via} data from {age}',
+    'status.via.cache': 'offline cache',
+    'status.via.snapshot': 'saved snapshot',
+    'theme.button': 'Theme: {name}',
+    'theme.buttonAuto': 'Theme: {name} ({resolved})',
+    'theme.aria': 'Colour theme: {name}. Activate to switch.',
+    'theme.auto': 'Auto',
+    'theme.dark': 'Dark',
+    'theme.light': 'Light',
+    'theme.high-contrast': 'High contrast',
+    'locale.label': 'Language',
+    'page.aboutMe': 'About Me',
+    'page.downloadCv': 'Download CV',
+    'page.profile': 'Profile',
+    'page.teamOverview': 'Team overview',
+    'page.compare': 'Compare',
+    'page.edit': 'Edit',
+    'page.certifications': 'Certifications Roadmap',
+    'page.achievements': 'Achievements',
+    'page.interests': 'Interests',
+    'page.contact': 'Contact',
+    'page.totalSkills': 'Total Skills',
+    'page.categories': 'Categories',
+    'page.yearsExperience': 'Years Experience',
+    'page.mostImproved': 'Most Improved',
+    'page.recentlyAdded': 'Recently Added',
+    'page.tipLabel': '💡 Tip:',
+    'page.tip': 'Click on any skill card below to explore detailed information, projects, and resources!',
+    'page.overview': 'Competency Overview',
+    'page.searchLabel': 'Search skills',
+    'page.searchPlaceholder': 'Search skills, projects, tags...',
+    'page.toolbar': 'Search and filter skills',
+    'page.sort': 'Sort',
+    'page.clear': 'Clear',
+    'page.view': 'View',
+    'page.grid': 'Grid',
+    'page.timeline': 'Timeline',
+    'page.graph': 'Graph',
+    'page.export': 'Export',
+    'page.proficiency': 'Proficiency Level',
+    'page.since': 'Experience Since',
+    'page.projects': 'Key Projects & Implementations',
+    'page.resources': 'Learning Resources & Links',
+    'page.related': 'Related Skills',
+    'page.previous': 'Previous skill',
+    'page.next': 'Next skill',
+    'page.close': 'Close',
+    'page.back': '← Back to skills',
+    'page.print': 'Print / Save as PDF',
+    'page.skillsTitle': 'Skills',
+    'page.teamTitle': 'Team',
+    'page.teamTitleAccent': 'Overview',
+    'page.compareTitle': 'Skill',
+    'page.compareTitleAccent': 'Comparison',
+    'page.editTitle': 'Data',
+    'page.editTitleAccent': 'Editor',
+    'edit.banner': 'Editing a local draft — visitors still see the published data.',
+    'edit.open': 'Open editor',
+    'edit.exit': 'Exit edit mode',
+    'diag.title': 'Data diagnostics',
+    'diag.none': 'No problems found.',
+    'diag.root': '(root)',
+    'diag.errors': { one: '{count} error', other: '{count} errors' },
+    'diag.warnings': { one: '{count} warning', other: '{count} warnings' },
+    'diag.show': 'Show',
+    'diag.hide': 'Hide',
+    'col.skill': 'Skill',
+    'col.id': 'Id',
+    'col.category': 'Category',
+    'col.rating': 'Rating',
+    'col.visible': 'Visible',
+    'col.change': 'Change',
+    'col.action': 'Action',
+    'col.source': 'Source',
+    'team.loading': 'Loading team data...',
+    'team.nobody': 'Nobody matches yet.',
+    'team.who': 'Who has…',
+    'team.atLeast': 'rated at least',
+    'team.cellTitle': '{skills}, {rated} rated',
+    'team.coverage': 'Coverage per category',
+    'team.coverageNote': 'Skills per person · average of rated skills',
+    'team.covered': 'Covered',
+    'team.distinct': { one: '{count} distinct skill', other: '{count} distinct skills' },
+    'team.failed': 'Could not load: {ids}',
+    'diff.added': 'Added',
+    'diff.removed': 'Removed',
+    'diff.up': 'Rated up',
+    'diff.down': 'Rated down',
+    'diff.rated': 'Newly rated',
+    'diff.same': 'Unchanged',
+    'diff.newBadge': '+ new',
+    'diff.removedBadge': '− removed',
+    'compare.dateLabel': 'Snapshot date for {side} (empty = now)',
+    'compare.profileLabel': 'Profile {side}',
+    'compare.now': 'now',
+    'compare.loadFailed': 'Could not load profile data: {error}',
+    'compare.changes': 'Changes',
+    'compare.none': 'No differences.',
+    'compare.grid': 'Diff grid',
+    'field.name': 'Name',
+    'field.nickname': 'Nickname',
+    'field.title': 'Title',
+    'field.location': 'Location',
+    'field.profilePicture': 'Profile picture URL',
+    'field.cvUrl': 'CV URL',
+    'field.about': 'About',
+    'field.currentRole': 'Current role',
+    'field.workStatus': 'Work status',
+    'field.careerStart': 'Career start',
+    'field.totalYears': 'Total years',
+    'field.email': 'Email',
+    'field.phone': 'Phone',
+    'field.timezone': 'Timezone',
+    'field.preferredContact': 'Preferred contact',
+    'field.availableForWork': 'Available for work',
+    'field.skillCategories': 'Categories (id | name | description)',
+    'field.socialLinks': 'Social links (platform | url | username)',
+    'field.interests': 'Interests (one per line)',
+    'field.achievements': 'Achievements (one per line)',
+    'field.certifications': 'Certifications (one per line, "Name - Status")',
+    'field.themeDefault': 'Default theme',
+    'field.themeAccent': 'Accent colour (CSS colour)',
+    'field.id': 'Id',
+    'field.categoryId': 'Category id',
+    'field.category': 'Category label',
+    'field.level': 'Level',
+    'field.tags': 'Tags (comma separated)',
+    'field.priority': 'Priority',
+    'field.visible': 'Visible',
+    'field.startDate': 'Start date',
+    'field.imageUrl': 'Logo URL',
+    'field.description': 'Description',
+    'field.prerequisites': 'Prerequisites (skill ids, comma separated)',
+    'field.related': 'Related (skill ids, comma separated)',
+    'field.projects': 'Projects (one per line)',
+    'field.resources': 'Resources (name | url)',
+    'editor.saveFailed': 'Draft could not be saved (storage full?).',
+    'editor.needsIdName': 'A skill needs both an id and a name.',
+    'editor.duplicateId': 'Another skill already uses the id “{id}”.',
+    'editor.confirmDelete': 'Delete “{name}”?',
+    'editor.editTitle': 'Edit “{name}”',
+    'editor.newSkill': 'New skill',
+    'editor.saveSkill': 'Save skill',
+    'editor.cancel': 'Cancel',
+    'editor.unnamed': '(unnamed)',
+    'editor.yes': 'yes',
+    'editor.no': 'no',
+    'editor.edit': 'Edit',
+    'editor.delete': 'Delete',
+    'editor.fixErrors': ' — fix the errors below before downloading.',
+    'editor.download': 'Download {file}',
+    'editor.downloadBundle': 'Download bundle',
+    'editor.saveProfile': 'Save profile',
+    'editor.savedAt': 'Draft saved {age} in this browser.',
+    'editor.noChanges': 'No changes yet.',
+    'editor.confirmDiscard': 'Discard the draft and go back to the published data?',
+    'editor.discard': 'Discard draft',
+    'editor.profile': 'Profile ({file})',
+    'editor.skills': 'Skills ({count})',
+    'editor.addSkill': '+ Add skill',
+    'import.title': 'Import',
+    'import.help': 'JSON Resume resume.json (skills, work, certificates), LinkedIn export Skills.csv, or a saved GitHub repos/languages JSON.',
+    'import.unrecognised': 'Could not recognise “{file}” — expected resume.json, Skills.csv or a GitHub dump.',
+    'import.failed': 'Could not import “{file}”.',
+    'import.select': 'Import {name}',
+    'import.add': 'add',
+    'import.merge': 'merge ({fields})',
+    'import.present': 'already present',
+    'import.generatedId': 'No Latin letters in the name, so this id was generated — rename it in the editor.',
+    'import.none': 'No skills found in the selected files.',
+    'import.apply': 'Merge selected into draft',
+    'export.jsonresume': 'JSON Resume',
+    'export.markdown': 'Markdown table',
+    'export.csv': 'CSV',
+    'export.count': '{skills}',
+    'export.countFiltered': '{skills} matching the current filter',
+    'export.categories': 'Categories',
+    'export.skills': 'Skills',
+    'export.badge': 'Badge (SVG)',
+    'export.download': 'Download'
+  };
+
+  const i18n = { locale: DEFAULT_LOCALE, messages: MESSAGES_EN, plurals: null };
+
+  function t(key, params = {}) {
+    let msg = i18n.messages[key] !== undefined ? i18n.messages[key] : MESSAGES_EN[key];
+    if (msg === undefined) return key;
+    if (typeof msg === 'object') {
+      if (!i18n.plurals) i18n.plurals = new Intl.PluralRules(i18n.locale);
+      msg = msg[i18n.plurals.select(Number(params.count) || 0)] || msg.other;
+    }
+    return msg.replace(/\{(\w+)\}/g, (m, name) => (params[name] !== undefined ? String(params[name]) : m));
+  }
+
+  function hasMessage(key) {
+    return i18n.messages[key] !== undefined || MESSAGES_EN[key] !== undefined;
+  }
+
+  // { en: '...', bn: '...' } — every key a locale code, every value a string, and at least one
+  // key a locale we know. Only consulted for values the schemas declare as 'text'.
+  function isLocalizedText(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    const entries = Object.entries(value);
+    return entries.length > 0
+      && entries.every(([k, v]) => /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/.test(k) && typeof v === 'string')
+      && entries.some(([k]) => k === i18n.locale || LOCALES[k.split('-')[0]]);
+  }
+
+  function localizedText(value) {
+    if (!isLocalizedText(value)) return value;
+    const base = i18n.locale.split('-')[0];
+    const pick = [i18n.locale, base, DEFAULT_LOCALE].find(l => typeof value[l] === 'string');
+    return pick ? value[pick] : Object.values(value)[0];
+  }
+
+  function storedLocale() {
+    try {
+      const l = localStorage.getItem(LOCALE_KEY);
+      return LOCALES[l] ? l : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Saved choice, else the first browser language we have a catalog for
+  function requestedLocale() {
+    const stored = storedLocale();
+    if (stored) return stored;
+    const preferred = (navigator.languages || [navigator.language || '']).map(l => String(l).split('-')[0]);
+    return preferred.find(l => LOCALES[l]) || DEFAULT_LOCALE;
+  }
+
+  window.SkillsMatrix = window.SkillsMatrix || {};
+  window.SkillsMatrix.i18n = {
+    DEFAULT_LOCALE, LOCALE_KEY, LOCALES, MESSAGES_EN, i18n,
+    t, hasMessage, isLocalizedText, localizedText, storedLocale, requestedLocale
+  };
+
+})();
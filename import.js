@@ -0,0 +1,300 @@
+/* ==================================================================================
+   import.js — editor import for the skills matrix.
+   - JSON Resume, LinkedIn Skills.csv and GitHub repo/language dumps are mapped to the
+     skill shape, de-duplicated against the draft and previewed before they are merged in.
+   Loaded after editor.js and before script.js, which calls install() with the helpers it uses.
+   ================================================================================== */
+
+(function () {
+  'use strict';
+
+  // From script.js and editor.js, set by install()
+  let RATING_BANDS, el, t, localizedText, editor, chip, clone, fileName, isValidDateString,
+    renderEditor, saveDraft, showNotice, slugify;
+
+  // -----------------------------
+  // Import (editor): JSON Resume, LinkedIn Skills.csv and GitHub repo/language
+  // dumps are mapped to the skill shape, de-duplicated against the draft and
+  // previewed before they are merged in.
+  // -----------------------------
+  // "2019", "2019-06" and ISO timestamps all become YYYY-MM-DD
+  function importDate(value) {
+    if (typeof value !== 'string') return undefined;
+    const m = value.match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+    if (!m) return undefined;
+    const date = `${m[1]}-${m[2] || '01'}-${m[3] || '01'}`;
+    return isValidDateString(date) ? date : undefined;
+  }
+
+  function earlierDate(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return a < b ? a : b;
+  }
+
+  function mentions(text, name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\w])${escaped}($|[^\\w])`, 'i').test(text || '');
+  }
+
+  function parseCsv(text) {
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (c === '"') quoted = false;
+        else cell += c;
+      } else if (c === '"') quoted = true;
+      else if (c === ',') { row.push(cell); cell = ''; }
+      else if (c === '\n' || c === '\r') {
+        if (c === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell); rows.push(row); row = []; cell = '';
+      } else cell += c;
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(c => c.trim()));
+  }
+
+  // Each importer: detect(fileName, text) -> parsed input or null, parse(input) -> skills[]
+  const IMPORTERS = {
+    jsonresume: {
+      label: 'JSON Resume',
+      detect(fileName, text) {
+        const data = tryParseJSON(text);
+        return data && !Array.isArray(data) && (data.basics || Array.isArray(data.skills)) ? data : null;
+      },
+      parse(resume) {
+        const skills = [];
+        (resume.skills || []).forEach(group => {
+          if (!group || !group.name) return;
+          const level = RATING_BANDS.find(b => b.toLowerCase() === String(group.level || '').toLowerCase());
+          const keywords = (group.keywords || []).filter(k => typeof k === 'string' && k.trim());
+          if (keywords.length) keywords.forEach(k => skills.push({ name: k.trim(), category: group.name, ...(level ? { level } : {}) }));
+          else skills.push({ name: group.name, ...(level ? { level } : {}) });
+        });
+        // work entries that mention a skill date it and become projects; certificates become
+        // resources when they have a url (resources require one), projects otherwise
+        (resume.work || []).forEach(job => {
+          const text = [job.position, job.summary, ...(job.highlights || [])].join('\n');
+          const where = job.name || job.company;
+          skills.forEach(s => {
+            if (!mentions(text, s.name)) return;
+            s.startDate = earlierDate(s.startDate, importDate(job.startDate));
+            if (job.position) s.projects = (s.projects || []).concat(where ? `${job.position} at ${where}` : job.position);
+          });
+        });
+        (resume.certificates || []).forEach(cert => {
+          if (!cert || !cert.name) return;
+          skills.forEach(s => {
+            if (!mentions(`${cert.name} ${cert.issuer || ''}`, s.name)) return;
+            if (cert.url) s.resources = (s.resources || []).concat({ name: cert.name, url: cert.url });
+            else s.projects = (s.projects || []).concat(cert.issuer ? `${cert.name} (${cert.issuer})` : cert.name);
+          });
+        });
+        return skills;
+      }
+    },
+    linkedin: {
+      label: 'LinkedIn Skills.csv',
+      detect(fileName, text) {
+        if (!/\.csv$/i.test(fileName) && tryParseJSON(text) !== null) return null;
+        const rows = parseCsv(text);
+        return rows.length && /\.csv$/i.test(fileName) ? rows : null;
+      },
+      parse(rows) {
+        const header = rows[0].map(h => h.trim().toLowerCase());
+        const col = header.indexOf('name');
+        const body = col === -1 ? rows : rows.slice(1);
+        return body.map(r => (r[col === -1 ? 0 : col] || '').trim()).filter(Boolean).map(name => ({ name }));
+      }
+    },
+    github: {
+      label: 'GitHub languages',
+      detect(fileName, text) {
+        const data = tryParseJSON(text);
+        if (Array.isArray(data) && data.some(r => r && typeof r === 'object' && ('language' in r || 'languages' in r))) return data;
+        if (data && !Array.isArray(data) && Object.keys(data).length && Object.values(data).every(v => typeof v === 'number')) return data;
+        return null;
+      },
+      parse(data) {
+        // a plain { language: bytes } map from /repos/:repo/languages
+        if (!Array.isArray(data)) {
+          const total = Object.values(data).reduce((a, b) => a + b, 0) || 1;
+          return Object.entries(data).map(([name, bytes]) => ({
+            name, category: 'Programming', description: `${Math.round((bytes / total) * 100)}% of code on GitHub.`
+          }));
+        }
+        const byLanguage = new Map();
+        data.filter(repo => repo && !repo.fork).forEach(repo => {
+          const langs = repo.languages && typeof repo.languages === 'object'
+            ? (Array.isArray(repo.languages) ? repo.languages : Object.keys(repo.languages))
+            : (repo.language ? [repo.language] : []);
+          langs.forEach(name => {
+            const s = byLanguage.get(name) || { name, category: 'Programming', repos: 0, projects: [], resources: [] };
+            s.repos++;
+            s.startDate = earlierDate(s.startDate, importDate(repo.created_at));
+            if (repo.name) s.projects.push(repo.description ? `${repo.name} — ${repo.description}` : repo.name);
+            if (repo.name && repo.html_url) s.resources.push({ name: repo.name, url: repo.html_url });
+            byLanguage.set(name, s);
+          });
+        });
+        return [...byLanguage.values()].map(({ repos, ...s }) => ({
+          ...s,
+          description: `Used in ${repos} GitHub repositor${repos === 1 ? 'y' : 'ies'}.`,
+          resources: s.resources.slice(0, 5)
+        }));
+      }
+    }
+  };
+
+  function tryParseJSON(text) {
+    try {
+      return JSON.parse(text);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Fill in missing fields, union lists and keep the earliest start date
+  function mergeSkill(base, incoming) {
+    const merged = { ...base };
+    Object.entries(incoming).forEach(([key, value]) => {
+      if (value === undefined) return;
+      if (merged[key] === undefined) merged[key] = clone(value);
+      else if (key === 'startDate') merged.startDate = earlierDate(merged.startDate, value);
+      else if (key === 'resources') {
+        const seen = new Set(merged.resources.map(r => r.url || r.name));
+        merged.resources = merged.resources.concat(value.filter(r => !seen.has(r.url || r.name)));
+      } else if (Array.isArray(merged[key]) && Array.isArray(value)) {
+        merged[key] = [...new Set(merged[key].concat(value))];
+      }
+    });
+    return merged;
+  }
+
+  // Names with no Latin letters or digits (e.g. Bengali, Hindi) slugify to '' and match by name instead
+  function skillMatchKey(skill) {
+    const name = String(localizedText(skill.name) || skill.id || '');
+    return slugify(name).replace(/_/g, '') || name.trim().toLowerCase();
+  }
+
+  // First free "skill-<n>" id among the draft and the ids already handed out
+  function generatedSkillId(taken) {
+    let n = 1;
+    while (taken.has(`skill-${n}`)) n++;
+    taken.add(`skill-${n}`);
+    return `skill-${n}`;
+  }
+
+  // -> [{ skill, source, existingIndex, changes, selected, generatedId }]
+  function buildImportPreview(batches) {
+    const byId = new Map();
+    const taken = new Set(editor.draft.skills.map(s => s.id));
+    const generated = new Map(); // lower-cased name -> generated id, so repeats of a name merge
+    batches.forEach(({ source, skills }) => skills.forEach(raw => {
+      const skill = { id: slugify(raw.name), ...raw };
+      if (!skill.id && String(raw.name || '').trim()) {
+        const name = String(raw.name).trim().toLowerCase();
+        if (!generated.has(name)) generated.set(name, generatedSkillId(taken));
+        skill.id = generated.get(name);
+      }
+      const categories = editor.draft.user.skillCategories || [];
+      const wanted = String(localizedText(skill.category) || '').toLowerCase();
+      const category = wanted && categories.find(c => c && String(localizedText(c.name) || '').toLowerCase() === wanted);
+      if (category) skill.categoryId = category.id;
+      const prev = byId.get(skill.id);
+      byId.set(skill.id, prev ? { ...prev, skill: mergeSkill(prev.skill, skill), source: `${prev.source}, ${source}` } : { skill, source });
+    }));
+    const generatedIds = new Set(generated.values());
+    return [...byId.values()].filter(row => row.skill.id).map(row => {
+      const key = skillMatchKey(row.skill);
+      const existingIndex = editor.draft.skills.findIndex(s => s.id === row.skill.id || skillMatchKey(s) === key || String(s.id).replace(/_/g, '').toLowerCase() === key);
+      if (existingIndex === -1) return { ...row, existingIndex, changes: null, selected: true, generatedId: generatedIds.has(row.skill.id) };
+      const existing = editor.draft.skills[existingIndex];
+      const merged = mergeSkill(existing, { ...row.skill, id: existing.id, name: existing.name });
+      const changes = Object.keys(merged).filter(k => JSON.stringify(merged[k]) !== JSON.stringify(existing[k]));
+      return { ...row, existingIndex, changes, selected: changes.length > 0 };
+    });
+  }
+
+  async function readImportFiles(files) {
+    const batches = [];
+    for (const file of files) {
+      const text = await file.text();
+      const [format, input] = Object.entries(IMPORTERS)
+        .map(([name, imp]) => [name, imp.detect(file.name, text)])
+        .find(([, input]) => input) || [];
+      if (!format) {
+        console.warn(`Import: could not recognise ${file.name}.`);
+        showNotice(t('import.unrecognised', { file: file.name }));
+        continue;
+      }
+      try {
+        batches.push({ source: `${IMPORTERS[format].label} (${file.name})`, skills: IMPORTERS[format].parse(input) });
+      } catch (err) {
+        console.warn(`Import: failed to read ${file.name}:`, err);
+        showNotice(t('import.failed', { file: file.name }));
+      }
+    }
+    editor.importPreview = batches.length ? buildImportPreview(batches) : null;
+    renderEditor();
+  }
+
+  function applyImport() {
+    const rows = (editor.importPreview || []).filter(r => r.selected);
+    rows.forEach(row => {
+      if (row.existingIndex === -1) editor.draft.skills.push(row.skill);
+      else {
+        const existing = editor.draft.skills[row.existingIndex];
+        editor.draft.skills[row.existingIndex] = mergeSkill(existing, { ...row.skill, id: existing.id, name: existing.name });
+      }
+    });
+    console.info(`Import: added ${rows.filter(r => r.existingIndex === -1).length}, merged ${rows.filter(r => r.existingIndex !== -1).length} skill(s).`);
+    editor.importPreview = null;
+    saveDraft();
+  }
+
+  function editorImport() {
+    const input = el('input', { type: 'file', accept: '.json,.csv,application/json,text/csv', multiple: '', class: 'text-sm' });
+    input.addEventListener('change', () => { if (input.files.length) readImportFiles([...input.files]); });
+    const preview = editor.importPreview;
+    return el('section', { class: 'chart-card mb-4 overflow-x-auto' },
+      el('h3', { class: 'font-bold text-accent mb-2' }, t('import.title')),
+      el('p', { class: 'text-xs text-text-secondary mb-3' }, t('import.help')),
+      input,
+      preview ? el('div', { class: 'mt-4' },
+        preview.length ? el('table', { class: 'team-table' },
+          el('thead', {}, el('tr', {}, ['', t('col.skill'), t('col.id'), t('col.category'), t('col.action'), t('col.source')].map(h => el('th', { scope: 'col' }, h)))),
+          el('tbody', {}, preview.map(row => {
+            const box = el('input', { type: 'checkbox', 'aria-label': t('import.select', { name: row.skill.name }) });
+            box.checked = row.selected;
+            box.addEventListener('change', () => { row.selected = box.checked; });
+            const existing = row.existingIndex === -1 ? null : editor.draft.skills[row.existingIndex];
+            return el('tr', {},
+              el('td', {}, box),
+              el('th', { scope: 'row' }, row.skill.name),
+              el('td', {}, existing ? existing.id : row.skill.id,
+                !existing && row.generatedId ? el('span', { class: 'import-warning block text-xs' }, t('import.generatedId')) : null),
+              el('td', {}, row.skill.category || ''),
+              el('td', {}, !existing ? t('import.add') : row.changes.length ? t('import.merge', { fields: row.changes.join(', ') }) : t('import.present')),
+              el('td', { class: 'text-xs text-text-secondary' }, row.source));
+          }))) : el('p', { class: 'text-sm' }, t('import.none')),
+        el('div', { class: 'flex gap-3 mt-3' },
+          preview.length ? el('button', { type: 'button', class: 'action-btn', onclick: applyImport }, t('import.apply')) : null,
+          el('button', { type: 'button', class: 'filter-chip', onclick: () => { editor.importPreview = null; renderEditor(); } }, t('editor.cancel')))) : null);
+  }
+
+  window.SkillsMatrix = window.SkillsMatrix || {};
+  window.SkillsMatrix.import = {
+    install(app) {
+      ({
+        RATING_BANDS, el, t, localizedText, editor, chip, clone, fileName, isValidDateString,
+        renderEditor, saveDraft, showNotice, slugify
+      } = app);
+      return { editorImport };
+    }
+  };
+
+})();
@@ -5,6 +5,8 @@
    - Uses user.skillCategories to map categoryId -> display title.
    - Defensive and verbose logging to help debugging.
    - Robust image handling with fallbacks.
+   Loaded after i18n.js (messages, t()) and the feature files graph.js, editor.js,
+   import.js and export.js, which installFeatures() wires in.
    ================================================================================== */
 
 (function () {
@@ -31,6 +33,46 @@
     return d;
   }
 
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  function svgEl(tag, attrs = {}, ...children) {
+    const d = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs || {}).forEach(([k, v]) => {
+      if (k.startsWith('on') && typeof v === 'function') d.addEventListener(k.substring(2).toLowerCase(), v);
+      else if (v != null) d.setAttribute(k, String(v));
+    });
+    children.flat().forEach(ch => {
+      if (ch == null) return;
+      d.append(typeof ch === 'string' ? document.createTextNode(ch) : ch);
+    });
+    return d;
+  }
+
+  // -----------------------------
+  // Shared utilities (also passed to the feature files)
+  // -----------------------------
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  function downloadFile(filename, text, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = el('a', { href: url, download: filename });
+    document.body.append(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function slugify(name) {
+    return String(name).trim().toLowerCase()
+      .replace(/\+/g, 'p')
+      .replace(/#/g, 'sharp')
+      .replace(/\./g, '')
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
   // -----------------------------
   // Constants
   // -----------------------------
@@ -106,19 +148,498 @@
   }
 
   // -----------------------------
-  // Fetch helper with clear logging & failure
+  // i18n: the catalog, t() and per-locale text lookup live in i18n.js. This section
+  // adds the rating/date formatting that needs script.js, loads locales/<code>.json
+  // and re-renders on a language switch.
+  // -----------------------------
+  const {
+    DEFAULT_LOCALE, LOCALE_KEY, LOCALES, MESSAGES_EN, i18n,
+    t, hasMessage, isLocalizedText, localizedText, storedLocale, requestedLocale
+  } = window.SkillsMatrix.i18n;
+
+  // Display name for a ratingLabel() bucket; ratingLabel itself stays English as an id
+  function bandName(label) {
+    return t(`band.${String(label).toLowerCase()}`);
+  }
+
+  function ratingName(n) {
+    return bandName(ratingLabel(n));
+  }
+
+  // YYYY-MM-DD -> "June 2019" (month) or "1 June 2019" (day) in the active locale
+  function formatDate(value, precision = 'month') {
+    if (!isValidDateString(value)) return value || '';
+    const options = precision === 'day'
+      ? { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' }
+      : { year: 'numeric', month: 'long', timeZone: 'UTC' };
+    return new Intl.DateTimeFormat(i18n.locale, options).format(new Date(`${value}T00:00:00Z`));
+  }
+
+  // Deep copy of user/skills data with the fields `spec` declares as 'text' (see SCHEMAS)
+  // resolved for the active locale; everything else is copied unchanged
+  function localizeData(value, spec) {
+    if (value == null || !spec) return clone(value);
+    if (spec.type === 'text') return localizedText(value);
+    if (spec.type === 'array' && Array.isArray(value)) return value.map(v => localizeData(v, spec.items));
+    if (spec.type === 'object' && spec.schema && typeof value === 'object' && !Array.isArray(value)) {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, localizeData(v, spec.schema[k])]));
+    }
+    return clone(value);
+  }
+
+  async function loadLocale(locale) {
+    let messages = MESSAGES_EN;
+    if (locale !== DEFAULT_LOCALE) {
+      try {
+        messages = { ...MESSAGES_EN, ...(await fetchJSON(`locales/${locale}.json`)) };
+      } catch (err) {
+        console.warn(`Locale "${locale}" could not be loaded — falling back to English.`, err);
+        locale = DEFAULT_LOCALE;
+      }
+    }
+    i18n.locale = locale;
+    i18n.messages = messages;
+    i18n.plurals = null;
+    document.documentElement.lang = locale;
+    translateStatic();
+  }
+
+  // Static markup: data-i18n (text), data-i18n-placeholder, data-i18n-aria-label
+  function translateStatic() {
+    document.querySelectorAll('[data-i18n]').forEach(n => { n.textContent = t(n.dataset.i18n); });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(n => { n.placeholder = t(n.dataset.i18nPlaceholder); });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(n => n.setAttribute('aria-label', t(n.dataset.i18nAriaLabel)));
+    const select = $id('locale-switcher');
+    if (select) select.value = i18n.locale;
+  }
+
+  // Switching language re-renders from the raw data so localized text is re-resolved
+  async function setLocale(locale) {
+    try {
+      localStorage.setItem(LOCALE_KEY, locale);
+    } catch (err) {
+      console.warn('Could not remember language choice:', err);
+    }
+    await loadLocale(locale);
+    Object.keys(profileDataCache).forEach(id => delete profileDataCache[id]);
+    teamDataPromise = null;
+    if (state.editing) app.applyDraft();
+    else if (state.original) {
+      applyData(clone(state.original.user), clone(state.original.skills), clone(state.original.ratings));
+      renderToolbar();
+      refreshGrid();
+    }
+    renderSortOptions();
+    syncToolbar();
+    applyTheme();
+    renderDataStatus();
+    if (state.page !== 'skills' && PAGES[state.page]) PAGES[state.page].render();
+    const open = state.openSkillId && findSkill(state.openSkillId);
+    if (open) openSkillModal(open, ratingOf(open, state.ratings));
+  }
+
+  function setupLocaleSwitcher() {
+    const select = $id('locale-switcher');
+    if (!select) return;
+    select.innerHTML = '';
+    Object.entries(LOCALES).forEach(([code, name]) => select.append(el('option', { value: code, lang: code }, name)));
+    select.value = i18n.locale;
+    select.addEventListener('change', () => setLocale(select.value));
+  }
+
+  // -----------------------------
+  // Fetch helper with clear logging & failure.
+  // With `track` (the shown profile's data files): responses served by sw.js carry
+  // X-Cached-At and are recorded in dataSources; fresh network data is snapshotted
+  // to localStorage so a later failed fetch can fall back to it.
   // -----------------------------
-  async function fetchJSON(path) {
+  const CACHED_AT_HEADER = 'X-Cached-At';
+  const SNAPSHOT_PREFIX = 'skills-matrix:snapshot:';
+  const dataSources = {}; // path -> { cachedAt, via: 'cache' | 'snapshot' } for data not fresh from the network
+  const freshUrls = new Set(); // 'data-fresh' messages that arrived before their fetch resolved
+  const staleUrls = new Set(); // 'data-offline' messages: sw.js served the cache and could not refresh it
+
+  function saveSnapshot(path, data) {
+    try {
+      localStorage.setItem(SNAPSHOT_PREFIX + path, JSON.stringify({ savedAt: Date.now(), data }));
+    } catch (err) {
+      console.warn(`Could not snapshot "${path}" to localStorage:`, err);
+    }
+  }
+
+  function loadSnapshot(path) {
+    try {
+      const snap = JSON.parse(localStorage.getItem(SNAPSHOT_PREFIX + path) || 'null');
+      return snap && snap.data !== undefined ? snap : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async function fetchJSON(path, { track = false } = {}) {
     try {
       const resp = await fetch(path, { cache: 'no-store' });
       if (!resp.ok) throw new Error(`HTTP ${resp.status} ${resp.statusText}`);
-      return await resp.json();
+      const data = await resp.json();
+      if (!track) return data;
+      const cachedAt = Number(resp.headers && resp.headers.get(CACHED_AT_HEADER));
+      if (!cachedAt) saveSnapshot(path, data);
+      else if (!freshUrls.has(new URL(path, window.location.href).href)) dataSources[path] = { cachedAt, via: 'cache' };
+      return data;
     } catch (err) {
+      const snap = track && loadSnapshot(path);
+      if (snap) {
+        console.warn(`fetchJSON failed for "${path}" — using snapshot from ${new Date(snap.savedAt).toISOString()}:`, err);
+        dataSources[path] = { cachedAt: snap.savedAt, via: 'snapshot' };
+        return snap.data;
+      }
       console.warn(`fetchJSON failed for "${path}":`, err);
       throw err;
     }
   }
 
+  // -----------------------------
+  // Schema validation
+  // Each schema maps field -> { type, required?, recommended?, items?, schema? }.
+  // 'required' problems are errors, 'recommended' ones are warnings.
+  // 'text' is a plain string or per-locale text such as { "en": "...", "bn": "..." };
+  // localizeData resolves exactly these fields, so new translatable fields must use it.
+  // -----------------------------
+  const RESOURCE_SCHEMA = {
+    name: { type: 'text', required: true },
+    url: { type: 'url', required: true }
+  };
+
+  const SCHEMAS = {
+    user: {
+      name: { type: 'text', required: true },
+      nickname: { type: 'text' },
+      title: { type: 'text' },
+      location: { type: 'text' },
+      profilePicture: { type: 'url' },
+      about: { type: 'text' },
+      cvUrl: { type: 'url' },
+      socialLinks: { type: 'array', items: { type: 'object', schema: {
+        platform: { type: 'string', required: true },
+        url: { type: 'url', required: true },
+        username: { type: 'string' }
+      } } },
+      skillCategories: { type: 'array', recommended: true, items: { type: 'object', schema: {
+        id: { type: 'string', required: true },
+        name: { type: 'text', required: true },
+        description: { type: 'text' }
+      } } },
+      contact: { type: 'object', schema: {
+        email: { type: 'string' },
+        phone: { type: 'string' },
+        timezone: { type: 'string' },
+        availableForWork: { type: 'boolean' },
+        preferredContactMethod: { type: 'string' }
+      } },
+      experience: { type: 'object', schema: {
+        totalYears: { type: 'number' },
+        startDate: { type: 'date' },
+        currentRole: { type: 'text' },
+        workStatus: { type: 'text' }
+      } },
+      interests: { type: 'array', items: { type: 'text' } },
+      achievements: { type: 'array', items: { type: 'text' } },
+      certifications: { type: 'array', items: { type: 'text' } },
+      theme: { type: 'object', schema: {
+        default: { type: 'string' },
+        accent: { type: 'string' }
+      } }
+    },
+    profiles: {
+      default: { type: 'string' },
+      profiles: { type: 'array', required: true, items: { type: 'object', schema: {
+        id: { type: 'string', required: true },
+        name: { type: 'string' },
+        user: { type: 'string', required: true },
+        skills: { type: 'string', required: true },
+        ratings: { type: 'string', required: true }
+      } } }
+    },
+    skill: {
+      id: { type: 'string', required: true },
+      name: { type: 'text', required: true },
+      categoryId: { type: 'string', recommended: true },
+      category: { type: 'text' },
+      level: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      priority: { type: 'number' },
+      visible: { type: 'boolean' },
+      startDate: { type: 'date', recommended: true },
+      imageUrl: { type: 'url' },
+      description: { type: 'text' },
+      prerequisites: { type: 'array', items: { type: 'string' } },
+      related: { type: 'array', items: { type: 'string' } },
+      projects: { type: 'array', items: { type: 'text' } },
+      resources: { type: 'array', items: { type: 'object', schema: RESOURCE_SCHEMA } }
+    }
+  };
+
+  // Whole-file specs for localizeData
+  const USER_DATA_SPEC = { type: 'object', schema: SCHEMAS.user };
+  const SKILLS_DATA_SPEC = { type: 'array', items: { type: 'object', schema: SCHEMAS.skill } };
+
+  const RATING_MIN = 0;
+  const RATING_MAX = 10;
+
+  function isValidDateString(v) {
+    if (typeof v !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(v)) return false;
+    const d = new Date(`${v}T00:00:00Z`);
+    return !isNaN(d) && d.toISOString().slice(0, 10) === v;
+  }
+
+  function isValidUrl(v) {
+    if (typeof v !== 'string' || !v.trim()) return false;
+    try {
+      const u = new URL(v, window.location.href);
+      return ['http:', 'https:', 'mailto:', 'tel:'].includes(u.protocol);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  // Returns a problem description for a value that doesn't match `type`, or null.
+  function checkType(value, type) {
+    switch (type) {
+      case 'array': return Array.isArray(value) ? null : 'expected an array';
+      case 'object': return (value && typeof value === 'object' && !Array.isArray(value)) ? null : 'expected an object';
+      case 'date':
+        if (!isValidDateString(value)) return `invalid date "${value}" (expected YYYY-MM-DD)`;
+        if (new Date(value) > new Date()) return `date "${value}" is in the future`;
+        return null;
+      case 'url': return isValidUrl(value) ? null : `broken URL "${value}"`;
+      case 'text': return typeof value === 'string' || isLocalizedText(value) ? null : 'expected a string or { locale: string } map';
+      default: return typeof value === type ? null : `expected ${type}, got ${Array.isArray(value) ? 'array' : typeof value}`;
+    }
+  }
+
+  function checkValue(value, spec, source, path, issues) {
+    const problem = checkType(value, spec.type);
+    if (problem) {
+      issues.push({ level: 'error', source, path, message: problem });
+      return;
+    }
+    if (spec.type === 'array' && spec.items) {
+      value.forEach((item, i) => checkValue(item, spec.items, source, `${path}[${i}]`, issues));
+    }
+    if (spec.type === 'object' && spec.schema) {
+      checkObject(value, spec.schema, source, path, issues);
+    }
+  }
+
+  function checkObject(obj, schema, source, path, issues) {
+    Object.entries(schema).forEach(([field, spec]) => {
+      const fieldPath = path ? `${path}.${field}` : field;
+      if (obj[field] === undefined || obj[field] === null) {
+        if (spec.required) issues.push({ level: 'error', source, path: fieldPath, message: 'missing required field' });
+        else if (spec.recommended) issues.push({ level: 'warning', source, path: fieldPath, message: 'missing recommended field' });
+        return;
+      }
+      checkValue(obj[field], spec, source, fieldPath, issues);
+    });
+    Object.keys(obj).forEach(field => {
+      if (!(field in schema)) {
+        issues.push({ level: 'warning', source, path: path ? `${path}.${field}` : field, message: 'unknown field' });
+      }
+    });
+  }
+
+  /**
+   * Validate the three data files against SCHEMAS plus cross-file rules
+   * (duplicate ids, orphan ratings, unknown categoryIds, dangling skill links, unrated skills).
+   * Returns a flat list of { level, source, path, message } issues.
+   */
+  function validateData(user, skills, ratings) {
+    const issues = [];
+
+    if (user && typeof user === 'object' && !Array.isArray(user)) {
+      checkObject(user, SCHEMAS.user, 'user.json', '', issues);
+    } else {
+      issues.push({ level: 'error', source: 'user.json', path: '', message: 'expected an object' });
+    }
+
+    const themeDefault = user && user.theme && user.theme.default;
+    if (typeof themeDefault === 'string' && !THEMES[themeDefault]) {
+      issues.push({ level: 'warning', source: 'user.json', path: 'theme.default', message: `unknown theme "${themeDefault}", expected one of ${Object.keys(THEMES).join(', ')}` });
+    }
+
+    const categoryIds = new Set(((user && user.skillCategories) || []).map(c => c && c.id).filter(Boolean));
+    const skillIds = new Set();
+
+    if (Array.isArray(skills)) {
+      skills.forEach((s, i) => {
+        const path = `[${i}]${s && s.id ? ` (${s.id})` : ''}`;
+        if (!s || typeof s !== 'object' || Array.isArray(s)) {
+          issues.push({ level: 'error', source: 'skills.json', path, message: 'expected an object' });
+          return;
+        }
+        checkObject(s, SCHEMAS.skill, 'skills.json', path, issues);
+        if (typeof s.id === 'string') {
+          if (skillIds.has(s.id)) issues.push({ level: 'error', source: 'skills.json', path: `${path}.id`, message: `duplicate skill id "${s.id}"` });
+          skillIds.add(s.id);
+        }
+        if (typeof s.categoryId === 'string' && !categoryIds.has(s.categoryId)) {
+          issues.push({ level: 'error', source: 'skills.json', path: `${path}.categoryId`, message: `unknown categoryId "${s.categoryId}" (not in user.skillCategories)` });
+        }
+      });
+      // Second pass: links may point forward in the file
+      skills.forEach((s, i) => {
+        if (!s || typeof s !== 'object') return;
+        SKILL_LINK_FIELDS.forEach(field => {
+          if (!Array.isArray(s[field])) return;
+          s[field].forEach((ref, j) => {
+            const path = `[${i}]${s.id ? ` (${s.id})` : ''}.${field}[${j}]`;
+            if (ref === s.id) issues.push({ level: 'error', source: 'skills.json', path, message: 'skill links to itself' });
+            else if (typeof ref === 'string' && !skillIds.has(ref)) issues.push({ level: 'error', source: 'skills.json', path, message: `dangling reference "${ref}" (no skill with this id)` });
+          });
+        });
+      });
+    } else {
+      issues.push({ level: 'error', source: 'skills.json', path: '', message: 'expected an array' });
+    }
+
+    if (ratings && typeof ratings === 'object' && !Array.isArray(ratings)) {
+      Object.entries(ratings).forEach(([id, value]) => {
+        if (Array.isArray(value)) {
+          checkRatingHistory(value, id, issues);
+        } else if (!isRatingValue(value)) {
+          issues.push({ level: 'error', source: 'ratings.json', path: id, message: `rating must be a number ${RATING_MIN}–${RATING_MAX} or a [{date, rating, note}] history, got ${JSON.stringify(value)}` });
+        }
+        if (skillIds.size && !skillIds.has(id)) {
+          issues.push({ level: 'warning', source: 'ratings.json', path: id, message: 'orphan rating (no skill with this id)' });
+        }
+      });
+      skillIds.forEach(id => {
+        if (ratings[id] === undefined) issues.push({ level: 'warning', source: 'ratings.json', path: id, message: 'skill has no rating' });
+      });
+    } else {
+      issues.push({ level: 'error', source: 'ratings.json', path: '', message: 'expected an object mapping ids to ratings' });
+    }
+
+    return issues;
+  }
+
+  // -----------------------------
+  // Ratings: flat { id: number } or versioned { id: [{ date, rating, note }] }
+  // -----------------------------
+  const RATING_ENTRY_SCHEMA = {
+    date: { type: 'date', required: true },
+    rating: { type: 'number', required: true },
+    note: { type: 'string' }
+  };
+
+  function isRatingValue(v) {
+    return typeof v === 'number' && !isNaN(v) && v >= RATING_MIN && v <= RATING_MAX;
+  }
+
+  function checkRatingHistory(entries, id, issues) {
+    if (!entries.length) {
+      issues.push({ level: 'error', source: 'ratings.json', path: id, message: 'rating history is empty' });
+      return;
+    }
+    const seen = new Set();
+    entries.forEach((entry, i) => {
+      const path = `${id}[${i}]`;
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        issues.push({ level: 'error', source: 'ratings.json', path, message: 'expected an object { date, rating, note? }' });
+        return;
+      }
+      checkObject(entry, RATING_ENTRY_SCHEMA, 'ratings.json', path, issues);
+      if (typeof entry.rating === 'number' && !isRatingValue(entry.rating)) {
+        issues.push({ level: 'error', source: 'ratings.json', path: `${path}.rating`, message: `rating must be ${RATING_MIN}–${RATING_MAX}, got ${entry.rating}` });
+      }
+      if (seen.has(entry.date)) issues.push({ level: 'warning', source: 'ratings.json', path: `${path}.date`, message: `duplicate history date "${entry.date}"` });
+      seen.add(entry.date);
+    });
+  }
+
+  /**
+   * Split raw ratings.json into the flat current map the UI reads everywhere
+   * and per-skill histories (sorted oldest first). Flat numbers get no history;
+   * examples/ratings-history.json shows the dated format.
+   */
+  function normalizeRatings(raw) {
+    const current = {};
+    const history = {};
+    Object.entries(raw || {}).forEach(([id, value]) => {
+      if (Array.isArray(value)) {
+        const entries = value
+          .filter(e => e && isValidDateString(e.date) && isRatingValue(e.rating))
+          .map(e => ({ date: e.date, rating: e.rating, note: typeof e.note === 'string' ? e.note : '' }))
+          .sort((a, b) => a.date.localeCompare(b.date));
+        if (!entries.length) return;
+        history[id] = entries;
+        current[id] = entries[entries.length - 1].rating;
+      } else if (isRatingValue(value)) {
+        current[id] = value;
+      }
+    });
+    return { current, history };
+  }
+
+  // -----------------------------
+  // Diagnostics panel (opt-in via ?debug=1)
+  // -----------------------------
+  function isDebugMode() {
+    const v = new URLSearchParams(window.location.search).get('debug');
+    return v !== null && v !== '0' && v !== 'false';
+  }
+
+  function renderDiagnostics(issues) {
+    const old = $id('diagnostics-panel');
+    if (old) old.remove();
+
+    const errors = issues.filter(i => i.level === 'error').length;
+    const warnings = issues.length - errors;
+
+    const bySource = {};
+    issues.forEach(i => { (bySource[i.source] = bySource[i.source] || []).push(i); });
+
+    const list = el('div', { class: 'diagnostics-body' });
+    if (!issues.length) list.append(el('p', { class: 'text-text-secondary' }, t('diag.none')));
+    Object.keys(bySource).sort().forEach(source => {
+      const items = bySource[source];
+      list.append(el('details', { class: 'diagnostics-group', open: '' },
+        el('summary', {}, `${source} (${items.length})`),
+        el('ul', {}, items.map(i => el('li', { class: `diagnostics-${i.level}` },
+          el('span', { class: 'diagnostics-path' }, i.path || t('diag.root')),
+          ` ${i.message}`
+        )))
+      ));
+    });
+
+    const panel = el('aside', { id: 'diagnostics-panel', class: 'diagnostics-panel', role: 'region', 'aria-label': t('diag.title') },
+      el('header', { class: 'diagnostics-header' },
+        el('strong', {}, t('diag.title')),
+        el('span', {}, issueSummary(errors, warnings)),
+        el('button', { type: 'button', class: 'diagnostics-toggle', 'aria-expanded': 'true', onclick: (ev) => {
+          const collapsed = panel.classList.toggle('collapsed');
+          ev.currentTarget.setAttribute('aria-expanded', String(!collapsed));
+          ev.currentTarget.textContent = collapsed ? t('diag.show') : t('diag.hide');
+        } }, t('diag.hide'))
+      ),
+      list
+    );
+    document.body.append(panel);
+  }
+
+  // "2 errors • 5 warnings" (diagnostics panel and editor export)
+  function issueSummary(errors, warnings) {
+    return `${t('diag.errors', { count: errors })} • ${t('diag.warnings', { count: warnings })}`;
+  }
+
+  function reportDiagnostics(issues) {
+    if (issues.length) {
+      const errors = issues.filter(i => i.level === 'error').length;
+      console.warn(`Data validation: ${errors} error(s), ${issues.length - errors} warning(s). Add ?debug=1 to the URL for the diagnostics panel.`, issues);
+    }
+    if (isDebugMode()) renderDiagnostics(issues);
+  }
+
   // -----------------------------
   // Experience calculation
   // -----------------------------
@@ -136,10 +657,43 @@
     return Math.max(0, years - adjust);
   }
 
+  // -----------------------------
+  // App state (shared by the toolbar, grid and modal)
+  // -----------------------------
+  const state = {
+    skills: [],
+    ratings: {},
+    ratingHistory: {},
+    categoriesMap: {},
+    experienceYears: 0,
+    user: null,
+    profiles: [],
+    profile: null,
+    filters: { query: '', categories: new Set(), bands: new Set(), tags: new Set(), minRating: null },
+    sort: 'priority',
+    view: 'grid',
+    page: 'skills',
+    timelineZoom: 60,
+    openSkillId: null,
+    compare: null,
+    editing: false,
+    original: null
+  };
+  const cardCache = new WeakMap();
+  const searchIndex = new WeakMap();
+
+  function categoryKey(skill) {
+    return skill.categoryId || (skill.category ? skill.category.toLowerCase().replace(/\s/g, '_') : 'uncategorized');
+  }
+
+  function ratingOf(skill, ratings) {
+    return (ratings && ratings[skill.id] !== undefined) ? ratings[skill.id] : 0;
+  }
+
   // -----------------------------
   // UI: loader, renderers, cards, modal
   // -----------------------------
-  function showLoader(text = 'Loading...') {
+  function showLoader(text = t('loader.loading')) {
     const main = $id('skills-main');
     if (!main) return;
     main.innerHTML = '';
@@ -154,18 +708,25 @@
     if ($id('experience-years')) $id('experience-years').textContent = `${experienceYears}+`;
   }
 
-  function createSkillCard(skill, rating) {
+  // Non-interactive cards (e.g. in the compare view) render as plain blocks without the modal hook
+  function createSkillCard(skill, rating, { interactive = true } = {}) {
     const imgUrl = skill.imageUrl || FALLBACK_LOGO_URL;
-    const card = el('button', {
-      class: 'skill-card group text-left p-4 rounded-lg border border-border-color hover:shadow-lg transition-all flex gap-4 items-center bg-secondary-glass w-full',
-      type: 'button',
-      'data-skill-id': skill.id
-    });
+    const card = interactive
+      ? el('button', {
+        class: 'skill-card group text-left p-4 rounded-lg border border-border-color hover:shadow-lg transition-all flex gap-4 items-center bg-secondary-glass w-full',
+        type: 'button',
+        'data-skill-id': skill.id,
+        'aria-haspopup': 'dialog',
+        'aria-label': t('card.open', { name: skill.name, level: ratingName(rating) })
+      })
+      : el('div', {
+        class: 'skill-card static text-left p-4 rounded-lg border border-border-color flex gap-4 items-center bg-secondary-glass w-full'
+      });
 
     const logo = el('img', {
       src: imgUrl,
-      alt: `${skill.name} logo`,
-      class: 'w-12 h-12 rounded-full object-cover flex-shrink-0 bg-gray-700', // Added bg color for better placeholder appearance
+      alt: t('card.logo', { name: skill.name }),
+      class: 'w-12 h-12 rounded-full object-cover flex-shrink-0 bg-border-color', // Added bg color for better placeholder appearance
       onerror: (e) => {
         if (e.target.src !== FALLBACK_LOGO_URL) {
             e.target.src = FALLBACK_LOGO_URL;
@@ -175,16 +736,16 @@
 
     const body = el('div', { class: 'flex-1' },
       el('div', { class: 'flex items-center justify-between' },
-        el('div', {}, el('div', { class: 'font-semibold text-white' }, skill.name),
+        el('div', {}, el('div', { class: 'font-semibold text-text-primary' }, skill.name),
           el('div', { class: 'text-xs text-text-secondary' }, skill.category || '')
         ),
-        el('div', { class: 'text-sm text-text-secondary' }, ratingLabel(rating))
+        el('div', { class: 'text-sm text-text-secondary' }, ratingName(rating))
       ),
       el('p', { class: 'text-sm text-text-secondary mt-2 line-clamp-2' }, skill.description || '')
     );
 
     card.append(logo, body);
-    card.addEventListener('click', () => openSkillModal(skill, rating));
+    if (interactive) card.addEventListener('click', () => showSkill(skill.id, { push: true }));
     return card;
   }
 
@@ -193,115 +754,1587 @@
     if (!main) return;
     main.innerHTML = '';
 
+    // Cards are cached per skill so filter/sort changes only re-arrange existing nodes
+    const { container, groupCount } = buildCategorySections(skills, ratings, categoriesMap, skill => {
+      let card = cardCache.get(skill);
+      if (!card) {
+        card = createSkillCard(skill, ratingOf(skill, ratings));
+        cardCache.set(skill, card);
+      }
+      return card;
+    });
+
+    if (!groupCount) {
+      container.append(el('p', { class: 'text-center text-text-secondary py-16' }, t('grid.empty')));
+    }
+
+    main.append(container);
+    renderFilteredStats(skills);
+  }
+
+  // Category sections (header + card grid) shared by the skills grid and the compare view
+  function buildCategorySections(skills, ratings, categoriesMap, cardFor) {
     // group by categoryId or fallback to category
     const groups = {};
     skills.forEach(s => {
       if (s.visible === false) return;
-      const key = s.categoryId || (s.category ? s.category.toLowerCase().replace(/\s/g, '_') : 'uncategorized');
+      const key = categoryKey(s);
       if (!groups[key]) groups[key] = { title: categoriesMap[key] || s.category || key, items: [] };
       groups[key].items.push(s);
     });
 
     const container = el('div', { class: 'space-y-8' });
+    const sortMode = SORT_MODES[state.sort] || SORT_MODES.priority;
 
     Object.keys(groups).sort((a,b) => (categoriesMap[a] || a).localeCompare(categoriesMap[b] || b)).forEach(key => {
       const group = groups[key];
-      group.items.sort((a, b) => (b.priority || 0) - (a.priority || 0) || (a.name || '').localeCompare(b.name || ''));
-      const section = el('section', { class: 'bg-secondary p-4 rounded-lg border border-border-color' });
+      group.items.sort((a, b) => sortMode.compare(a, b, ratings) || (a.name || '').localeCompare(b.name || ''));
+      const section = el('section', { class: 'bg-secondary p-4 rounded-lg border border-border-color', 'data-category': key });
 
       const header = el('header', { class: 'mb-4 flex items-center justify-between' },
         el('h3', { class: 'text-lg font-bold text-accent' }, group.title),
-        el('div', { class: 'text-sm text-text-secondary' }, `${group.items.length} skill${group.items.length !== 1 ? 's' : ''}`)
+        el('div', { class: 'text-sm text-text-secondary' }, t('count.skills', { count: group.items.length }))
       );
       section.append(header);
 
       const grid = el('div', { class: 'grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4' });
-      group.items.forEach(skill => {
-        const rating = (ratings && ratings[skill.id] !== undefined) ? ratings[skill.id] : 0;
-        grid.append(createSkillCard(skill, rating));
-      });
+      group.items.forEach(skill => grid.append(cardFor(skill)));
       section.append(grid);
       container.append(section);
     });
 
-    main.append(container);
+    return { container, groupCount: Object.keys(groups).length };
+  }
 
-    // stats
-    const totalSkills = (skills || []).filter(s => s.visible !== false).length;
-    const totalCategories = Object.keys(groups).length;
-    const experienceYears = computeExperienceYearsFromSkills(skills) || 0;
-    renderStats(totalSkills, totalCategories, experienceYears);
+  // stats (show "shown / total" while a filter is narrowing the list)
+  function renderFilteredStats(skills) {
+    const shown = skills.filter(s => s.visible !== false);
+    const all = state.skills.filter(s => s.visible !== false);
+    const shownSkills = shown.length;
+    const totalSkills = all.length;
+    const shownCategories = new Set(shown.map(categoryKey)).size;
+    const totalCategories = new Set(all.map(categoryKey)).size;
+    renderStats(
+      shownSkills === totalSkills ? totalSkills : `${shownSkills}/${totalSkills}`,
+      shownCategories === totalCategories ? totalCategories : `${shownCategories}/${totalCategories}`,
+      state.experienceYears
+    );
   }
 
-  // Modal helpers
-  function openSkillModal(skill, rating) {
-    const modal = $id('skill-modal');
-    if (!modal) {
-      console.warn('Modal (id=skill-modal) not found in DOM.');
-      return;
+  // -----------------------------
+  // Toolbar: search, filter chips, sort
+  // -----------------------------
+  const RATING_BANDS = ['Beginner', 'Intermediate', 'Advanced', 'Expert'];
+
+  const SORT_MODES = {
+    priority: { label: 'sort.priority', compare: (a, b) => (b.priority || 0) - (a.priority || 0) },
+    rating: { label: 'sort.rating', compare: (a, b, ratings) => ratingOf(b, ratings) - ratingOf(a, ratings) },
+    experience: { label: 'sort.experience', compare: (a, b) => dateValue(a.startDate) - dateValue(b.startDate) },
+    alpha: { label: 'sort.alpha', compare: () => 0 }
+  };
+
+  function dateValue(d) {
+    const t = new Date(d).getTime();
+    return isNaN(t) ? Infinity : t;
+  }
+
+  function searchText(skill) {
+    if (!searchIndex.has(skill)) {
+      searchIndex.set(skill, [skill.name, skill.description, ...(skill.projects || []), ...(skill.tags || [])]
+        .filter(Boolean).join(' \n ').toLowerCase());
     }
-    
-    const modalImg = $id('modal-img');
-    if (modalImg) {
-        modalImg.src = skill.imageUrl || FALLBACK_LOGO_URL;
-        modalImg.onerror = () => {
-            if (modalImg.src !== FALLBACK_LOGO_URL) {
-                modalImg.src = FALLBACK_LOGO_URL;
-            }
-        };
+    return searchIndex.get(skill);
+  }
+
+  function matchesFilters(skill, ratings, filters) {
+    if (filters.categories.size && !filters.categories.has(categoryKey(skill))) return false;
+    if (filters.bands.size && !filters.bands.has(ratingLabel(ratingOf(skill, ratings)))) return false;
+    if (filters.tags.size && !(skill.tags || []).some(t => filters.tags.has(t))) return false;
+    if (filters.minRating != null && ratingOf(skill, ratings) < filters.minRating) return false;
+    const terms = filters.query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length) {
+      const text = searchText(skill);
+      if (!terms.every(t => text.includes(t))) return false;
     }
-    
-    if ($id('modal-title')) $id('modal-title').textContent = skill.name || '';
-    if ($id('modal-category')) $id('modal-category').textContent = skill.category || (skill.categoryId || 'Uncategorized');
-    if ($id('modal-description')) $id('modal-description').textContent = skill.description || '';
+    return true;
+  }
 
-    const ratingNormalized = Math.max(0, Math.min(10, Number(rating || 0)));
-    if ($id('modal-rating-bar')) $id('modal-rating-bar').style.width = `${(ratingNormalized/10)*100}%`;
-    if ($id('modal-rating-text')) $id('modal-rating-text').textContent = `${ratingNormalized}/10 • ${ratingLabel(ratingNormalized)}`;
+  function filteredSkills() {
+    return state.skills.filter(s => matchesFilters(s, state.ratings, state.filters));
+  }
+
+  function hasActiveFilters() {
+    const f = state.filters;
+    return Boolean(f.query || f.categories.size || f.bands.size || f.tags.size || f.minRating != null);
+  }
 
-    if ($id('modal-start-date')) $id('modal-start-date').textContent = skill.startDate || '—';
+  function resetFilters() {
+    state.filters.query = '';
+    state.filters.categories.clear();
+    state.filters.bands.clear();
+    state.filters.tags.clear();
+    state.filters.minRating = null;
+  }
 
-    // projects
-    const projEl = $id('modal-projects');
-    if (projEl) {
-      projEl.innerHTML = '';
-      (skill.projects || []).forEach(p => projEl.append(el('li', { class: 'text-text-secondary' }, p)));
-      if (!(skill.projects || []).length) projEl.append(el('li', { class: 'text-text-secondary' }, 'No projects listed.'));
+  function refreshGrid() {
+    const view = VIEWS[state.view] || VIEWS.grid;
+    view.render(filteredSkills());
+    syncToolbar();
+    syncUrl();
+  }
+
+  function chip(label, group, value) {
+    return el('button', {
+      type: 'button',
+      class: 'filter-chip',
+      'data-group': group,
+      'data-value': value,
+      'aria-pressed': 'false',
+      onclick: () => {
+        const set = state.filters[group];
+        if (set.has(value)) set.delete(value); else set.add(value);
+        refreshGrid();
+      }
+    }, label);
+  }
+
+  function renderToolbar() {
+    const chips = $id('filter-chips');
+    if (!chips) return;
+    chips.innerHTML = '';
+
+    const visible = state.skills.filter(s => s.visible !== false);
+    const categoryKeys = [...new Set(visible.map(categoryKey))]
+      .sort((a, b) => (state.categoriesMap[a] || a).localeCompare(state.categoriesMap[b] || b));
+    const tags = [...new Set(visible.flatMap(s => s.tags || []))].sort();
+
+    const row = (title, children) => children.length
+      ? el('div', { class: 'filter-row', role: 'group', 'aria-label': title },
+          el('span', { class: 'filter-row-title' }, title), children)
+      : null;
+
+    chips.append(
+      row(t('filter.category'), categoryKeys.map(k => {
+        const sample = visible.find(s => categoryKey(s) === k);
+        return chip(state.categoriesMap[k] || (sample && sample.category) || k, 'categories', k);
+      })),
+      row(t('filter.level'), RATING_BANDS.map(b => chip(bandName(b), 'bands', b))),
+      row(t('filter.tag'), tags.map(tag => chip(`#${tag}`, 'tags', tag)))
+    );
+  }
+
+  function syncToolbar() {
+    document.querySelectorAll('.filter-chip[data-group]').forEach(c => {
+      const on = state.filters[c.dataset.group].has(c.dataset.value);
+      c.setAttribute('aria-pressed', String(on));
+      c.classList.toggle('active', on);
+    });
+    const search = $id('skill-search');
+    if (search && search.value !== state.filters.query) search.value = state.filters.query;
+    const sort = $id('skill-sort');
+    if (sort && sort.value !== state.sort) sort.value = state.sort;
+    const clear = $id('clear-filters-btn');
+    if (clear) clear.hidden = !hasActiveFilters();
+    document.querySelectorAll('.view-toggle [data-view]').forEach(b => {
+      const on = b.dataset.view === state.view;
+      b.setAttribute('aria-pressed', String(on));
+      b.classList.toggle('active', on);
+    });
+  }
+
+  function renderSortOptions() {
+    const sort = $id('skill-sort');
+    if (!sort) return;
+    sort.innerHTML = '';
+    Object.entries(SORT_MODES).forEach(([key, mode]) => sort.append(el('option', { value: key }, t(mode.label))));
+    sort.value = state.sort;
+  }
+
+  function setupToolbar() {
+    const search = $id('skill-search');
+    if (search) {
+      let timer = null;
+      search.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => { state.filters.query = search.value.trim(); refreshGrid(); }, 150);
+      });
     }
 
-    // resources
-    const resEl = $id('modal-resources');
-    if (resEl) {
-      resEl.innerHTML = '';
-      (skill.resources || []).forEach(r => {
-        const a = el('a', { href: r.url || '#', target: '_blank', rel: 'noopener noreferrer', class: 'block text-sm text-accent hover:underline' }, r.name || r.url || 'link');
-        resEl.append(el('div', {}, a));
+    const sort = $id('skill-sort');
+    if (sort) {
+      renderSortOptions();
+      sort.addEventListener('change', () => { state.sort = sort.value; refreshGrid(); });
+    }
+
+    document.querySelectorAll('.view-toggle [data-view]').forEach(b => {
+      b.addEventListener('click', () => { state.view = b.dataset.view; refreshGrid(); });
+    });
+
+    const clear = $id('clear-filters-btn');
+    if (clear) {
+      clear.addEventListener('click', () => {
+        resetFilters();
+        refreshGrid();
       });
-      if (!(skill.resources || []).length) resEl.append(el('div', { class: 'text-text-secondary' }, 'No resources available.'));
     }
 
-    modal.classList.remove('hidden');
-    const close = $id('close-modal-btn');
-    if (close) close.focus();
+    renderToolbar();
+    syncToolbar();
   }
 
-  function setupModalClose() {
-    const modal = $id('skill-modal');
-    if (!modal) return;
-    const closeBtn = $id('close-modal-btn');
-    const backdrop = $id('modal-backdrop');
-    function close() { modal.classList.add('hidden'); }
-    if (closeBtn) closeBtn.addEventListener('click', close);
-    if (backdrop) backdrop.addEventListener('click', close);
-    document.addEventListener('keydown', (ev) => { if (ev.key === 'Escape' && !modal.classList.contains('hidden')) close(); });
+  // -----------------------------
+  // Views: category grid, experience timeline or skill graph
+  // -----------------------------
+  const VIEWS = {
+    grid: { label: 'page.grid', render: skills => renderSkillsGrid(skills, state.ratings, state.categoriesMap) },
+    timeline: { label: 'page.timeline', render: skills => renderTimeline(skills) },
+    graph: { label: 'page.graph', render: skills => app.renderSkillGraph(skills) }
+  };
+
+  // Stable color per category key, spread around the hue wheel starting at the accent
+  function categoryColor(key) {
+    const keys = [...new Set(state.skills.map(categoryKey))].sort();
+    const i = Math.max(0, keys.indexOf(key));
+    return `hsl(${(172 + i * (360 / Math.max(1, keys.length))) % 360}, 75%, 58%)`;
+  }
+
+  // Color key for the categories present in `items` (timeline and graph views)
+  function categoryLegend(items) {
+    const keys = [...new Set(items.map(categoryKey))];
+    return el('div', { class: 'timeline-legend' }, keys.map(k => {
+      const sample = items.find(s => categoryKey(s) === k);
+      return el('span', { class: 'timeline-legend-item' },
+        el('span', { class: 'timeline-swatch', style: `background:${categoryColor(k)}` }),
+        state.categoriesMap[k] || (sample && sample.category) || k);
+    }));
   }
 
   // -----------------------------
-  // User header/footer population
+  // Timeline view (Gantt-style, one bar per skill from startDate to today)
   // -----------------------------
-  function populateHeader(user) {
-    if (!user) return;
-    if ($id('user-name')) $id('user-name').textContent = user.name || user.nickname || '—';
+  const TIMELINE_ZOOM_MIN = 30;
+  const TIMELINE_ZOOM_MAX = 480;
+  const TIMELINE_ROW = 24;
+  const TIMELINE_LABEL_WIDTH = 190;
+  const TIMELINE_AXIS = 48;
+
+  function yearFraction(date) {
+    const start = new Date(date.getFullYear(), 0, 1);
+    const next = new Date(date.getFullYear() + 1, 0, 1);
+    return date.getFullYear() + (date - start) / (next - start);
+  }
+
+  // Rows the timeline draws: visible skills with a start date, oldest first
+  function timelineItems(skills) {
+    return skills
+      .filter(s => s.visible !== false && !isNaN(new Date(s.startDate)))
+      .sort((a, b) => dateValue(a.startDate) - dateValue(b.startDate) || (a.name || '').localeCompare(b.name || ''));
+  }
+
+  // First year on the axis: the oldest row or the career start, whichever is earlier
+  function timelineFirstYear(items) {
+    const experience = (state.user && state.user.experience) || {};
+    const careerStart = isValidDateString(experience.startDate) ? new Date(experience.startDate) : null;
+    return Math.min(
+      new Date(items[0].startDate).getFullYear(),
+      careerStart ? careerStart.getFullYear() : Infinity
+    );
+  }
+
+  function renderTimeline(skills) {
+    const main = $id('skills-main');
+    if (!main) return;
+    main.innerHTML = '';
+
+    const items = timelineItems(skills);
+    renderFilteredStats(skills);
+
+    if (!items.length) {
+      main.append(el('p', { class: 'text-center text-text-secondary py-16' }, t('timeline.empty')));
+      return;
+    }
+
+    const experience = (state.user && state.user.experience) || {};
+    const careerStart = isValidDateString(experience.startDate) ? new Date(experience.startDate) : null;
+    const now = new Date();
+    const firstYear = timelineFirstYear(items);
+    const lastYear = now.getFullYear() + 1;
+    const zoom = state.timelineZoom;
+    const x = (date) => TIMELINE_LABEL_WIDTH + (yearFraction(date) - firstYear) * zoom;
+    const width = TIMELINE_LABEL_WIDTH + (lastYear - firstYear) * zoom + 16;
+    const height = TIMELINE_AXIS + items.length * TIMELINE_ROW + 8;
+
+    const svg = svgEl('svg', {
+      class: 'timeline-svg',
+      width, height,
+      viewBox: `0 0 ${width} ${height}`,
+      role: 'list',
+      'aria-label': t('timeline.label')
+    });
+
+    // year grid + clickable year labels (click = zoom into that year)
+    for (let year = firstYear; year <= lastYear; year++) {
+      const gx = x(new Date(year, 0, 1));
+      svg.append(svgEl('line', { x1: gx, x2: gx, y1: TIMELINE_AXIS - 8, y2: height, class: 'timeline-grid' }));
+      if (year < lastYear) {
+        svg.append(svgEl('text', {
+          x: gx + 4, y: TIMELINE_AXIS - 14, class: 'timeline-year', tabindex: 0, role: 'button',
+          'aria-label': t('timeline.zoomTo', { year }),
+          onclick: () => zoomTimelineTo(year),
+          onkeydown: (ev) => { if (ev.key === 'Enter' || ev.key === ' ') { ev.preventDefault(); zoomTimelineTo(year); } }
+        }, String(year)));
+      }
+    }
+
+    // career line anchored on user.experience
+    if (careerStart) {
+      const cx = x(careerStart);
+      const role = experience.currentRole ? t('timeline.careerRole', { role: experience.currentRole }) : t('timeline.career');
+      svg.append(
+        svgEl('line', { x1: cx, x2: x(now), y1: TIMELINE_AXIS - 4, y2: TIMELINE_AXIS - 4, class: 'timeline-career' }),
+        svgEl('line', { x1: cx, x2: cx, y1: TIMELINE_AXIS - 8, y2: height, class: 'timeline-career-start' }),
+        svgEl('text', { x: 4, y: TIMELINE_AXIS - 1, class: 'timeline-career-label' }, role)
+      );
+    }
+
+    const todayX = x(now);
+    svg.append(svgEl('line', { x1: todayX, x2: todayX, y1: TIMELINE_AXIS - 8, y2: height, class: 'timeline-today' }));
+
+    items.forEach((skill, i) => {
+      const y = TIMELINE_AXIS + i * TIMELINE_ROW;
+      // unrated skills get a neutral bar rather than being drawn as 0/10
+      const rated = isRated(skill, state.ratings);
+      const rating = rated ? state.ratings[skill.id] : null;
+      const start = new Date(skill.startDate);
+      const bx = x(start);
+      const color = categoryColor(categoryKey(skill));
+      const label = rated
+        ? t('timeline.row', { name: skill.name, date: formatDate(skill.startDate), rating, level: ratingName(rating) })
+        : t('timeline.rowUnrated', { name: skill.name, date: formatDate(skill.startDate) });
+      const open = () => showSkill(skill.id, { push: true });
+      svg.append(svgEl('g', {
+        class: rated ? 'timeline-row' : 'timeline-row unrated', tabindex: 0, role: 'listitem', 'aria-label': label, 'data-skill-id': skill.id,
+        onclick: open,
+        onkeydown: (ev) => { if (ev.key === 'Enter' || ev.key === ' ') { ev.preventDefault(); open(); } }
+      },
+        svgEl('title', {}, label),
+        svgEl('text', { x: TIMELINE_LABEL_WIDTH - 8, y: y + 16, class: 'timeline-label', 'text-anchor': 'end' }, skill.name),
+        svgEl('rect', { x: bx, y: y + 5, width: Math.max(2, todayX - bx), height: TIMELINE_ROW - 10, rx: 4, fill: color, 'fill-opacity': rated ? 0.25 + 0.075 * Math.min(10, rating) : 0.15 }),
+        svgEl('circle', { cx: bx, cy: y + TIMELINE_ROW / 2, r: 4, fill: color }),
+        svgEl('text', { x: bx + 8, y: y + 16, class: 'timeline-rating' }, rated ? `${rating}/10` : bandName('Unrated'))
+      ));
+    });
+
+    const zoomBtn = (text, label, factor) => el('button', {
+      type: 'button', class: 'filter-chip', 'aria-label': label,
+      onclick: () => setTimelineZoom(state.timelineZoom * factor)
+    }, text);
+
+    main.append(el('section', { class: 'bg-secondary p-4 rounded-lg border border-border-color' },
+      el('header', { class: 'mb-4 flex flex-wrap items-center justify-between gap-3' },
+        el('h3', { class: 'text-lg font-bold text-accent' }, t('timeline.title')),
+        el('div', { class: 'flex gap-2 items-center' },
+          el('span', { class: 'text-xs text-text-secondary' }, t('timeline.zoom')),
+          zoomBtn('−', t('timeline.zoomOut'), 0.5),
+          zoomBtn('+', t('timeline.zoomIn'), 2),
+          zoomBtn(t('timeline.fit'), t('timeline.fitLabel'), 0)
+        )
+      ),
+      categoryLegend(items),
+      el('div', { id: 'timeline-scroll', class: 'timeline-scroll' }, svg)
+    ));
+  }
+
+  function setTimelineZoom(zoom, focusYear) {
+    const scroll = $id('timeline-scroll');
+    if (!zoom) {
+      // "Fit": spread the years of the rendered rows across the visible width
+      const items = timelineItems(filteredSkills());
+      const years = items.length ? new Date().getFullYear() + 1 - timelineFirstYear(items) : 1;
+      zoom = scroll ? (scroll.clientWidth - TIMELINE_LABEL_WIDTH - 16) / Math.max(1, years) : TIMELINE_ZOOM_MIN;
+    }
+    state.timelineZoom = Math.max(TIMELINE_ZOOM_MIN, Math.min(TIMELINE_ZOOM_MAX, zoom));
+    refreshGrid();
+    const yearLabel = focusYear != null && [...document.querySelectorAll('.timeline-year')].find(t => t.textContent === String(focusYear));
+    const next = $id('timeline-scroll');
+    if (yearLabel && next) next.scrollLeft = Number(yearLabel.getAttribute('x')) - TIMELINE_LABEL_WIDTH;
+  }
+
+  function zoomTimelineTo(year) {
+    setTimelineZoom(TIMELINE_ZOOM_MAX, year);
+  }
+
+  // -----------------------------
+  // Skill relationships: skill.prerequisites (directed) and skill.related (symmetric)
+  // -----------------------------
+  const SKILL_LINK_FIELDS = ['prerequisites', 'related'];
+
+  // Links for one skill in both directions: what it builds on, what builds on it, and related skills.
+  // Hidden (visible: false) skills are included; the modal shows them as disabled chips.
+  function skillRelations(skill, skills = state.skills) {
+    const ids = new Set(skills.map(s => s.id));
+    const own = field => (Array.isArray(skill[field]) ? skill[field] : []).filter(id => id !== skill.id && ids.has(id));
+    const referencing = field => skills.filter(s => s.id !== skill.id && Array.isArray(s[field]) && s[field].includes(skill.id)).map(s => s.id);
+    const prerequisites = own('prerequisites');
+    const leadsTo = referencing('prerequisites');
+    const related = [...new Set([...own('related'), ...referencing('related')])]
+      .filter(id => !prerequisites.includes(id) && !leadsTo.includes(id));
+    return { prerequisites, leadsTo, related };
+  }
+
+  // Unique edges among `skills`; a prerequisite wins over a related link between the same pair
+  function skillEdges(skills) {
+    const ids = new Set(skills.map(s => s.id));
+    const edges = new Map();
+    skills.forEach(s => SKILL_LINK_FIELDS.forEach(field => {
+      (Array.isArray(s[field]) ? s[field] : []).forEach(ref => {
+        if (ref === s.id || !ids.has(ref)) return;
+        const pair = [ref, s.id].sort().join('\u0000');
+        if (field === 'prerequisites') edges.set(pair, { source: ref, target: s.id, kind: 'prerequisite' });
+        else if (!edges.has(pair)) edges.set(pair, { source: s.id, target: ref, kind: 'related' });
+      });
+    }));
+    return [...edges.values()];
+  }
+
+  // -----------------------------
+  // Competency overview: radar per category, category averages, rating histogram.
+  // Unrated skills are listed separately instead of being drawn as 0.
+  // -----------------------------
+  const RADAR_SIZE = 280;
+  const RADAR_RADIUS = 90;
+  const RADAR_MAX_AXES = 12;
+
+  function isRated(skill, ratings) {
+    return Boolean(ratings) && typeof ratings[skill.id] === 'number' && !isNaN(ratings[skill.id]);
+  }
+
+  // Contiguous rating ranges per ratingLabel bucket, e.g. [{ label: 'Beginner', min: 0, max: 3 }, ...]
+  function ratingBands() {
+    const bands = [];
+    for (let n = RATING_MIN; n <= RATING_MAX; n++) {
+      const label = ratingLabel(n);
+      const last = bands[bands.length - 1];
+      if (last && last.label === label) last.max = n;
+      else bands.push({ label, min: n, max: n });
+    }
+    return bands;
+  }
+
+  function bandClass(n) {
+    return `band-${ratingLabel(n).toLowerCase()}`;
+  }
+
+  function truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+  }
+
+  // axes: [{ label, value, skillId? }] with value in RATING_MIN..RATING_MAX
+  function radarChart(axes, title) {
+    const c = RADAR_SIZE / 2;
+    const point = (i, v) => {
+      const angle = -Math.PI / 2 + (i / axes.length) * Math.PI * 2;
+      const r = (v / RATING_MAX) * RADAR_RADIUS;
+      return [c + Math.cos(angle) * r, c + Math.sin(angle) * r];
+    };
+    const svg = svgEl('svg', { class: 'chart-svg', viewBox: `0 0 ${RADAR_SIZE} ${RADAR_SIZE}`, role: 'img', 'aria-label': title },
+      svgEl('title', {}, `${title}: ${axes.map(a => `${a.label} ${a.value}`).join(', ')}`));
+
+    // one ring per band threshold so the legend reads straight off the chart
+    ratingBands().map(b => b.max).forEach(v => {
+      svg.append(svgEl('polygon', { class: `radar-ring ${bandClass(v)}`, points: axes.map((_, i) => point(i, v).join(',')).join(' ') }));
+    });
+    axes.forEach((a, i) => {
+      const [ex, ey] = point(i, RATING_MAX);
+      const [lx, ly] = point(i, RATING_MAX * 1.2);
+      svg.append(
+        svgEl('line', { class: 'radar-axis', x1: c, y1: c, x2: ex, y2: ey }),
+        svgEl('text', { class: 'chart-label', x: lx, y: ly, 'text-anchor': lx < c - 4 ? 'end' : lx > c + 4 ? 'start' : 'middle', 'dominant-baseline': 'middle' }, truncate(a.label, 14))
+      );
+    });
+    svg.append(svgEl('polygon', { class: 'radar-area', points: axes.map((a, i) => point(i, a.value).join(',')).join(' ') }));
+    axes.forEach((a, i) => {
+      const [px, py] = point(i, a.value);
+      const dot = svgEl('circle', { class: `radar-point ${bandClass(a.value)}`, cx: px, cy: py, r: 4 },
+        svgEl('title', {}, `${a.label}: ${Math.round(a.value * 10) / 10}/10 • ${ratingName(a.value)}`));
+      if (a.skillId) {
+        dot.setAttribute('tabindex', '0');
+        dot.setAttribute('role', 'button');
+        dot.setAttribute('aria-label', `${a.label}, ${a.value}/10`);
+        dot.addEventListener('click', () => showSkill(a.skillId, { push: true }));
+        dot.addEventListener('keydown', (ev) => { if (ev.key === 'Enter') showSkill(a.skillId, { push: true }); });
+      }
+      svg.append(dot);
+    });
+    return svg;
+  }
+
+  // Radar needs three axes to enclose an area; smaller sets fall back to bars
+  function ratingBars(axes) {
+    return el('ul', { class: 'space-y-2' }, axes.map(a => el('li', {},
+      el('div', { class: 'flex justify-between text-xs text-text-secondary' },
+        el('span', {}, a.label), el('span', {}, `${Math.round(a.value * 10) / 10}/10 • ${ratingName(a.value)}`)),
+      el('div', { class: 'rating-bar-bg w-full h-2 rounded-full overflow-hidden' },
+        el('div', { class: 'rating-bar-fill h-full rounded-full', style: `width:${(a.value / RATING_MAX) * 100}%` }))
+    )));
+  }
+
+  function competencyChart(axes, title) {
+    return axes.length >= 3 ? radarChart(axes, title) : ratingBars(axes);
+  }
+
+  function histogramChart(ratedValues, unratedCount) {
+    const counts = [];
+    for (let n = RATING_MIN; n <= RATING_MAX; n++) counts.push(0);
+    // out-of-range ratings only warn in validation, so clamp them into the end buckets
+    ratedValues.forEach(v => { counts[Math.max(RATING_MIN, Math.min(RATING_MAX, Math.round(v))) - RATING_MIN] += 1; });
+
+    const bars = counts.map((count, i) => ({ label: String(i + RATING_MIN), count, cls: bandClass(i + RATING_MIN) }))
+      .concat([{ label: t('histogram.na'), count: unratedCount, cls: 'band-unrated', unrated: true }]);
+    const max = Math.max(1, ...bars.map(b => b.count));
+    const w = 28, gap = 6, h = 140, top = 16, bottom = 20;
+    const width = bars.length * (w + gap);
+    const svg = svgEl('svg', { class: 'chart-svg', viewBox: `0 0 ${width} ${h + top + bottom}`, role: 'img',
+      'aria-label': `${t('overview.distribution')}: ${bars.map(b => `${b.label}: ${b.count}`).join(', ')}` });
+    bars.forEach((b, i) => {
+      const bh = (b.count / max) * h;
+      const x = i * (w + gap);
+      svg.append(...[
+        svgEl('rect', { class: `histogram-bar ${b.cls}`, x, y: top + h - bh, width: w, height: Math.max(bh, 1), rx: 3 },
+          svgEl('title', {}, t(b.unrated ? 'histogram.unrated' : 'histogram.rated', { rating: b.label, skills: t('count.skills', { count: b.count }) }))),
+        svgEl('text', { class: 'chart-label', x: x + w / 2, y: top + h + 14, 'text-anchor': 'middle' }, b.label),
+        b.count ? svgEl('text', { class: 'chart-value', x: x + w / 2, y: top + h - bh - 4, 'text-anchor': 'middle' }, String(b.count)) : null
+      ].filter(Boolean));
+    });
+    return svg;
+  }
+
+  function bandLegend() {
+    return el('div', { class: 'timeline-legend' },
+      ratingBands().map(b => el('span', { class: 'timeline-legend-item' },
+        el('span', { class: `timeline-swatch ${`band-${b.label.toLowerCase()}`}` }), `${bandName(b.label)} (${b.min}–${b.max})`)),
+      el('span', { class: 'timeline-legend-item' }, el('span', { class: 'timeline-swatch band-unrated' }), bandName('Unrated')));
+  }
+
+  function renderOverview(skills, ratings, categoriesMap) {
+    const root = $id('overview-charts');
+    if (!root) return;
+    root.innerHTML = '';
+
+    const visible = skills.filter(s => s.visible !== false);
+    const groups = {};
+    visible.forEach(s => {
+      const key = categoryKey(s);
+      if (!groups[key]) groups[key] = { title: categoriesMap[key] || s.category || key, rated: [], unrated: [] };
+      (isRated(s, ratings) ? groups[key].rated : groups[key].unrated).push(s);
+    });
+    const keys = Object.keys(groups).sort((a, b) => groups[a].title.localeCompare(groups[b].title));
+    const rated = visible.filter(s => isRated(s, ratings));
+
+    const card = (title, subtitle, ...content) => el('div', { class: 'chart-card' },
+      el('h4', { class: 'font-bold text-accent text-sm' }, title),
+      subtitle ? el('p', { class: 'text-xs text-text-secondary mb-2' }, subtitle) : null,
+      content);
+
+    // aggregate: one axis per category that has at least one rated skill
+    const averages = keys.filter(k => groups[k].rated.length).map(k => ({
+      label: groups[k].title,
+      value: groups[k].rated.reduce((sum, s) => sum + ratings[s.id], 0) / groups[k].rated.length
+    }));
+
+    const summary = el('div', { class: 'grid grid-cols-1 md:grid-cols-2 gap-4 mb-4' },
+      card(t('overview.averages'), t('overview.averagesNote', { rated: averages.length, total: keys.length }),
+        averages.length ? competencyChart(averages, t('overview.averages')) : el('p', { class: 'text-xs text-text-secondary' }, t('overview.noRated'))),
+      card(t('overview.distribution'), t('overview.distributionNote', { rated: rated.length, unrated: visible.length - rated.length }),
+        histogramChart(rated.map(s => ratings[s.id]), visible.length - rated.length))
+    );
+
+    const perCategory = el('div', { class: 'grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4' }, keys.map(k => {
+      const g = groups[k];
+      const axes = g.rated
+        .sort((a, b) => ratings[b.id] - ratings[a.id] || (a.name || '').localeCompare(b.name || ''))
+        .slice(0, RADAR_MAX_AXES)
+        .map(s => ({ label: s.name, value: ratings[s.id], skillId: s.id }));
+      const hidden = g.rated.length - axes.length;
+      return card(g.title, t('overview.categoryNote', { rated: g.rated.length, total: g.rated.length + g.unrated.length }) + (hidden > 0 ? t('overview.topShown', { count: axes.length }) : ''),
+        axes.length ? competencyChart(axes, g.title) : null,
+        g.unrated.length
+          ? el('p', { class: 'text-xs text-text-secondary mt-2' }, el('span', { class: 'font-bold' }, t('overview.unrated')), g.unrated.map(s => s.name).join(', '))
+          : null);
+    }));
+
+    root.append(bandLegend(), summary, perCategory);
+  }
+
+  // -----------------------------
+  // Rating trends: modal sparkline and "most improved" / "recently added" stats
+  // -----------------------------
+  function sparkline(entries) {
+    const w = 240, h = 48, pad = 6;
+    const times = entries.map(e => new Date(e.date).getTime());
+    const t0 = Math.min(...times), t1 = Math.max(...times);
+    const px = t => pad + (t1 === t0 ? (w - pad * 2) / 2 : ((t - t0) / (t1 - t0)) * (w - pad * 2));
+    const py = r => h - pad - ((r - RATING_MIN) / (RATING_MAX - RATING_MIN)) * (h - pad * 2);
+    const points = entries.map((e, i) => [px(times[i]), py(e.rating)]);
+    const first = entries[0], last = entries[entries.length - 1];
+    return svgEl('svg', { class: 'sparkline', viewBox: `0 0 ${w} ${h}`, role: 'img',
+      'aria-label': t('trend.sparkline', { from: first.rating, fromDate: formatDate(first.date, 'day'), to: last.rating, toDate: formatDate(last.date, 'day') }) },
+      svgEl('polyline', { class: 'sparkline-line', points: points.map(p => p.join(',')).join(' ') }),
+      entries.map((e, i) => svgEl('circle', { class: `sparkline-point ${bandClass(e.rating)}`, cx: points[i][0], cy: points[i][1], r: 3 },
+        svgEl('title', {}, `${formatDate(e.date, 'day')}: ${e.rating}/10${e.note ? ` — ${e.note}` : ''}`)))
+    );
+  }
+
+  function renderRatingHistory(entries) {
+    const box = $id('modal-rating-history');
+    if (!box) return;
+    box.innerHTML = '';
+    box.hidden = entries.length < 2;
+    if (entries.length < 2) return;
+    const first = entries[0], last = entries[entries.length - 1];
+    const delta = last.rating - first.rating;
+    box.append(
+      sparkline(entries),
+      el('p', { class: 'text-xs text-text-secondary mt-1' },
+        t('trend.delta', { delta: `${delta > 0 ? '+' : ''}${delta}`, date: formatDate(first.date, 'day'), ratings: t('count.ratings', { count: entries.length }) })),
+      last.note ? el('p', { class: 'text-xs text-text-secondary italic' }, `“${last.note}”`) : null
+    );
+  }
+
+  function renderTrendStats(skills, history) {
+    const visible = skills.filter(s => s.visible !== false);
+
+    const improved = visible
+      .filter(s => (history[s.id] || []).length >= 2)
+      .map(s => {
+        const h = history[s.id];
+        return { skill: s, delta: h[h.length - 1].rating - h[0].rating, since: h[0].date };
+      })
+      .filter(x => x.delta > 0)
+      .sort((a, b) => b.delta - a.delta || a.skill.name.localeCompare(b.skill.name))[0];
+
+    const recent = visible
+      .filter(s => isValidDateString(s.startDate))
+      .sort((a, b) => b.startDate.localeCompare(a.startDate))
+      .slice(0, 3);
+
+    const skillLink = (s) => el('button', { type: 'button', class: 'text-accent hover:underline', onclick: () => showSkill(s.id, { push: true }) }, s.name);
+
+    const improvedCard = $id('most-improved');
+    if (improvedCard) {
+      improvedCard.hidden = !improved;
+      const value = $id('most-improved-value');
+      if (improved && value) {
+        value.innerHTML = '';
+        value.append(skillLink(improved.skill), ` +${improved.delta}`);
+        if ($id('most-improved-since')) $id('most-improved-since').textContent = t('trend.since', { date: formatDate(improved.since, 'day') });
+      }
+    }
+
+    const recentCard = $id('recently-added');
+    if (recentCard) {
+      recentCard.hidden = !recent.length;
+      const value = $id('recently-added-value');
+      if (value) {
+        value.innerHTML = '';
+        recent.forEach((s, i) => value.append(i ? ', ' : '', skillLink(s)));
+      }
+    }
+
+    const row = $id('trend-stats');
+    if (row) row.hidden = !improved && !recent.length;
+  }
+
+  // Modal helpers
+  function openSkillModal(skill, rating) {
+    const modal = $id('skill-modal');
+    if (!modal) {
+      console.warn('Modal (id=skill-modal) not found in DOM.');
+      return;
+    }
+    
+    const modalImg = $id('modal-img');
+    if (modalImg) {
+        modalImg.src = skill.imageUrl || FALLBACK_LOGO_URL;
+        modalImg.onerror = () => {
+            if (modalImg.src !== FALLBACK_LOGO_URL) {
+                modalImg.src = FALLBACK_LOGO_URL;
+            }
+        };
+    }
+    
+    if ($id('modal-title')) $id('modal-title').textContent = skill.name || '';
+    if ($id('modal-category')) $id('modal-category').textContent = skill.category || (skill.categoryId || t('modal.uncategorized'));
+    if ($id('modal-description')) $id('modal-description').textContent = skill.description || '';
+
+    const ratingNormalized = Math.max(0, Math.min(10, Number(rating || 0)));
+    if ($id('modal-rating-bar')) $id('modal-rating-bar').style.width = `${(ratingNormalized/10)*100}%`;
+    if ($id('modal-rating-text')) $id('modal-rating-text').textContent = `${ratingNormalized}/10 • ${ratingName(ratingNormalized)}`;
+
+    renderRatingHistory(state.ratingHistory[skill.id] || []);
+
+    const ratingEditor = $id('modal-rating-editor');
+    if (ratingEditor) {
+      ratingEditor.hidden = !state.editing;
+      if ($id('modal-rating-input')) $id('modal-rating-input').value = String(ratingNormalized);
+    }
+
+    if ($id('modal-start-date')) $id('modal-start-date').textContent = skill.startDate ? formatDate(skill.startDate) : '—';
+
+    // projects
+    const projEl = $id('modal-projects');
+    if (projEl) {
+      projEl.innerHTML = '';
+      (skill.projects || []).forEach(p => projEl.append(el('li', { class: 'text-text-secondary' }, p)));
+      if (!(skill.projects || []).length) projEl.append(el('li', { class: 'text-text-secondary' }, t('modal.noProjects')));
+    }
+
+    // resources
+    const resEl = $id('modal-resources');
+    if (resEl) {
+      resEl.innerHTML = '';
+      (skill.resources || []).forEach(r => {
+        const a = el('a', { href: r.url || '#', target: '_blank', rel: 'noopener noreferrer', class: 'block text-sm text-accent hover:underline' }, r.name || r.url || t('modal.link'));
+        resEl.append(el('div', {}, a));
+      });
+      if (!(skill.resources || []).length) resEl.append(el('div', { class: 'text-text-secondary' }, t('modal.noResources')));
+    }
+
+    // related skills (each chip steps the modal to that skill)
+    const relEl = $id('modal-related');
+    if (relEl) {
+      relEl.innerHTML = '';
+      Object.entries(skillRelations(skill)).forEach(([group, ids]) => {
+        if (!ids.length) return;
+        relEl.append(el('div', { class: 'filter-row', role: 'group', 'aria-label': t(`related.${group}`) },
+          el('span', { class: 'filter-row-title' }, t(`related.${group}`)),
+          ids.map(id => {
+            const target = findSkill(id);
+            if (target) return el('button', { type: 'button', class: 'filter-chip', 'data-related-id': id, onclick: () => showSkill(id) }, target.name);
+            const name = (state.skills.find(s => s.id === id) || {}).name || id;
+            return el('button', { type: 'button', class: 'filter-chip', 'data-related-id': id, disabled: '', title: t('related.hidden', { name }) }, name);
+          })));
+      });
+      if ($id('modal-related-section')) $id('modal-related-section').hidden = !relEl.childElementCount;
+    }
+
+    // Remember what opened the dialog (not when stepping prev/next inside it)
+    if (modal.classList.contains('hidden')) {
+      returnFocusTo = document.activeElement;
+      setBackgroundInert(true);
+    }
+    modal.classList.remove('hidden');
+    updateModalNav(skill);
+    const close = $id('close-modal-btn');
+    if (close) close.focus();
+  }
+
+  // -----------------------------
+  // Modal accessibility: inert background, focus trap/restore, prev/next
+  // -----------------------------
+  let returnFocusTo = null;
+  const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+  function setBackgroundInert(on) {
+    const page = $id('page');
+    if (!page) return;
+    page.inert = on;
+    if (on) page.setAttribute('aria-hidden', 'true');
+    else page.removeAttribute('aria-hidden');
+  }
+
+  function restoreFocus(skillId) {
+    // Prefer the card of the skill last shown (prev/next may have moved on from the opener),
+    // else whatever opened the dialog if it is still in the document
+    const opener = returnFocusTo && document.contains(returnFocusTo) ? returnFocusTo : null;
+    const card = skillId && [...document.querySelectorAll('#skills-main [data-skill-id]')].find(c => c.dataset.skillId === skillId);
+    const target = (card && (!opener || opener.hasAttribute('data-skill-id'))) ? card : opener;
+    returnFocusTo = null;
+    if (target && typeof target.focus === 'function') target.focus();
+  }
+
+  function trapFocus(ev) {
+    const content = $id('modal-content');
+    if (!content) return;
+    const items = [...content.querySelectorAll(FOCUSABLE)].filter(n => n.offsetParent !== null || n === document.activeElement);
+    if (!items.length) return;
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (ev.shiftKey && (document.activeElement === first || !content.contains(document.activeElement))) {
+      ev.preventDefault();
+      last.focus();
+    } else if (!ev.shiftKey && (document.activeElement === last || !content.contains(document.activeElement))) {
+      ev.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Skills in on-screen order (respects the current filter and sort)
+  function renderedSkillIds() {
+    return [...document.querySelectorAll('#skills-main [data-skill-id]')].map(c => c.dataset.skillId);
+  }
+
+  function adjacentSkillId(id, step) {
+    const ids = renderedSkillIds();
+    const i = ids.indexOf(id);
+    if (i === -1 || !ids.length) return null;
+    return ids[(i + step + ids.length) % ids.length];
+  }
+
+  function updateModalNav(skill) {
+    const single = renderedSkillIds().length < 2 || !renderedSkillIds().includes(skill.id);
+    ['prev-skill-btn', 'next-skill-btn'].forEach(id => {
+      const btn = $id(id);
+      if (btn) btn.disabled = single;
+    });
+  }
+
+  function stepSkill(step) {
+    const id = state.openSkillId && adjacentSkillId(state.openSkillId, step);
+    if (id) showSkill(id);
+  }
+
+  // Arrow-key navigation across the card grid (Left/Right = previous/next, Up/Down = row above/below)
+  function setupGridKeyboardNav() {
+    const main = $id('skills-main');
+    if (!main) return;
+    main.addEventListener('keydown', (ev) => {
+      const card = ev.target.closest && ev.target.closest('.skill-card');
+      if (!card) return;
+      const cards = [...main.querySelectorAll('.skill-card')];
+      const i = cards.indexOf(card);
+      let next = null;
+      if (ev.key === 'ArrowRight') next = cards[i + 1];
+      else if (ev.key === 'ArrowLeft') next = cards[i - 1];
+      else if (ev.key === 'Home') next = cards[0];
+      else if (ev.key === 'End') next = cards[cards.length - 1];
+      else if (ev.key === 'ArrowDown' || ev.key === 'ArrowUp') {
+        const from = card.getBoundingClientRect();
+        const candidates = cards.filter(c => {
+          const r = c.getBoundingClientRect();
+          return ev.key === 'ArrowDown' ? r.top > from.top + 1 : r.top < from.top - 1;
+        });
+        // nearest row first, then the column closest to the current card
+        next = candidates.sort((a, b) => {
+          const ra = a.getBoundingClientRect(), rb = b.getBoundingClientRect();
+          return Math.abs(ra.top - from.top) - Math.abs(rb.top - from.top) || Math.abs(ra.left - from.left) - Math.abs(rb.left - from.left);
+        })[0];
+      } else return;
+      ev.preventDefault();
+      if (next) next.focus();
+    });
+  }
+
+  function setupModalClose() {
+    const modal = $id('skill-modal');
+    if (!modal) return;
+    const closeBtn = $id('close-modal-btn');
+    const backdrop = $id('modal-backdrop');
+    const close = () => closeSkillModal();
+    if (closeBtn) closeBtn.addEventListener('click', close);
+    if (backdrop) backdrop.addEventListener('click', close);
+    if ($id('prev-skill-btn')) $id('prev-skill-btn').addEventListener('click', () => stepSkill(-1));
+    if ($id('next-skill-btn')) $id('next-skill-btn').addEventListener('click', () => stepSkill(1));
+    document.addEventListener('keydown', (ev) => {
+      if (modal.classList.contains('hidden')) return;
+      if (ev.key === 'Escape') close();
+      else if (ev.key === 'Tab') trapFocus(ev);
+      else if ((ev.key === 'ArrowLeft' || ev.key === 'ArrowRight') && !/^(INPUT|TEXTAREA|SELECT)$/.test(ev.target.tagName)) {
+        ev.preventDefault();
+        stepSkill(ev.key === 'ArrowRight' ? 1 : -1);
+      }
+    });
+  }
+
+  function findSkill(id) {
+    return state.skills.find(s => s.id === id && s.visible !== false) || null;
+  }
+
+  // Open a skill's modal by id; `push` adds a history entry so Back closes it again.
+  // Pushed entries carry { skill } in history.state, which survives reloads and
+  // Back/Forward, so closing knows whether to pop the entry or rewrite it.
+  function showSkill(id, { push = false } = {}) {
+    const skill = findSkill(id);
+    if (!skill) {
+      console.warn(`Skill "${id}" not found — ignoring deep link.`);
+      showNotice(t('notice.skillNotFound', { id }));
+      if (state.openSkillId) closeSkillModal({ fromHistory: true });
+      history.replaceState(null, '', routeUrl(null));
+      return false;
+    }
+    openSkillModal(skill, ratingOf(skill, state.ratings));
+    state.openSkillId = skill.id;
+    if (push) {
+      history.pushState({ skill: skill.id }, '', routeUrl(skill.id));
+    } else {
+      // stepping inside a pushed entry keeps it marked as ours
+      const pushed = history.state && history.state.skill;
+      history.replaceState(pushed ? { ...history.state, skill: skill.id } : history.state, '', routeUrl(skill.id));
+    }
+    return true;
+  }
+
+  function closeSkillModal({ fromHistory = false } = {}) {
+    const modal = $id('skill-modal');
+    const wasOpen = modal && !modal.classList.contains('hidden');
+    if (modal) modal.classList.add('hidden');
+    if (wasOpen) {
+      setBackgroundInert(false);
+      restoreFocus(state.openSkillId);
+    }
+    if (!state.openSkillId) return;
+    state.openSkillId = null;
+    if (fromHistory) return;
+    if (history.state && history.state.skill) {
+      // Pop the entry we pushed when opening, so Back doesn't reopen the modal
+      history.back();
+    } else {
+      history.replaceState(null, '', routeUrl(null));
+    }
+  }
+
+  function showNotice(text) {
+    const old = $id('notice-toast');
+    if (old) old.remove();
+    const toast = el('div', { id: 'notice-toast', class: 'notice-toast', role: 'status' }, text);
+    document.body.append(toast);
+    setTimeout(() => toast.remove(), 4000);
+  }
+
+  // -----------------------------
+  // Printable résumé (#/resume), generated from user.json + skills/ratings.
+  // Used by the "Download CV" button when user.cvUrl doesn't resolve.
+  // -----------------------------
+  const RESUME_SKILLS_PER_CATEGORY = 6;
+  const RESUME_MAX_PROJECTS = 8;
+
+  async function urlExists(url) {
+    try {
+      const resp = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+      return resp.ok;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  // One HEAD probe per URL per visit; populateHeader re-runs on every editor draft save
+  const urlProbes = new Map();
+  function probeUrl(url) {
+    if (!urlProbes.has(url)) urlProbes.set(url, urlExists(url));
+    return urlProbes.get(url);
+  }
+
+  // Rated skills first (highest rating), then priority, then name
+  function compareForResume(a, b, ratings) {
+    const ra = isRated(a, ratings) ? ratings[a.id] : -1;
+    const rb = isRated(b, ratings) ? ratings[b.id] : -1;
+    return rb - ra || (b.priority || 0) - (a.priority || 0) || (a.name || '').localeCompare(b.name || '');
+  }
+
+  function resumeSection(title, ...content) {
+    const body = content.flat().filter(Boolean);
+    if (!body.length) return null;
+    return el('section', { class: 'resume-section' }, el('h2', {}, title), body);
+  }
+
+  function resumeList(items) {
+    return items && items.length ? el('ul', {}, items.map(i => el('li', {}, i))) : null;
+  }
+
+  function renderResume(user, skills, ratings, categoriesMap) {
+    const root = $id('resume');
+    if (!root) return;
+    root.innerHTML = '';
+    user = user || {};
+
+    const visible = skills.filter(s => s.visible !== false).sort((a, b) => compareForResume(a, b, ratings));
+    const contact = user.contact || {};
+    const experience = user.experience || {};
+
+    const contactBits = [
+      user.location,
+      contact.email,
+      contact.phone,
+      ...(user.socialLinks || [])
+        .filter(l => l.url && /^https?:/.test(l.url))
+        .map(l => l.url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, ''))
+    ].filter(Boolean);
+
+    const header = el('header', { class: 'resume-header' },
+      el('h1', {}, user.name || user.nickname || ''),
+      user.title ? el('p', { class: 'resume-title' }, user.title) : null,
+      contactBits.length ? el('p', { class: 'resume-contact' }, contactBits.join(' • ')) : null
+    );
+
+    const expLine = [
+      experience.currentRole,
+      isValidDateString(experience.startDate) ? t('resume.since', { date: formatDate(experience.startDate) }) : null,
+      experience.totalYears ? t('resume.years', { count: experience.totalYears }) : null
+    ].filter(Boolean).join(' • ');
+
+    const groups = {};
+    visible.forEach(s => {
+      const key = categoryKey(s);
+      if (!groups[key]) groups[key] = { title: categoriesMap[key] || s.category || key, items: [] };
+      groups[key].items.push(s);
+    });
+    const skillRows = Object.keys(groups)
+      .sort((a, b) => compareForResume(groups[a].items[0], groups[b].items[0], ratings))
+      .map(key => {
+        const g = groups[key];
+        const names = g.items.slice(0, RESUME_SKILLS_PER_CATEGORY)
+          .map(s => isRated(s, ratings) ? `${s.name} (${ratings[s.id]}/10)` : s.name);
+        return el('div', { class: 'resume-skill-row' },
+          el('span', { class: 'resume-skill-category' }, g.title.replace(/^[^\w(]+/u, '')),
+          el('span', {}, names.join(', ')));
+      });
+
+    const projects = [];
+    const seen = new Set();
+    visible.forEach(s => (s.projects || []).forEach(p => {
+      if (projects.length >= RESUME_MAX_PROJECTS || seen.has(p)) return;
+      seen.add(p);
+      projects.push(el('span', {}, p, el('span', { class: 'resume-muted' }, ` — ${s.name}`)));
+    }));
+
+    root.append(
+      header,
+      resumeSection(t('resume.profile'), user.about ? el('p', {}, user.about) : null),
+      resumeSection(t('resume.experience'),
+        expLine ? el('p', { class: 'font-bold' }, expLine) : null,
+        experience.workStatus ? el('p', { class: 'resume-muted' }, experience.workStatus) : null),
+      resumeSection(t('resume.skills'), skillRows),
+      resumeSection(t('resume.projects'), resumeList(projects)),
+      resumeSection(t('resume.achievements'), resumeList(user.achievements)),
+      resumeSection(t('resume.certifications'), resumeList(user.certifications)),
+      resumeSection(t('resume.interests'), user.interests && user.interests.length ? el('p', {}, user.interests.join(' • ')) : null)
+    );
+  }
+
+  // -----------------------------
+  // Profiles: profiles.json lists every person hosted on this deployment and
+  // where their data lives. Pick one with ?u=<id> or /u/<id>; without the
+  // manifest the single default profile (user/skills/ratings.json) is used.
+  // -----------------------------
+  const PROFILES_PATH = 'profiles.json';
+  const DEFAULT_PROFILE = { id: 'default', user: 'user.json', skills: 'skills.json', ratings: 'ratings.json' };
+
+  async function loadProfiles() {
+    let manifest = null;
+    try {
+      manifest = await fetchJSON(PROFILES_PATH);
+    } catch (_) {
+      console.info(`${PROFILES_PATH} not available — single-profile mode.`);
+      return { profiles: [DEFAULT_PROFILE], defaultId: DEFAULT_PROFILE.id, issues: [] };
+    }
+
+    const issues = [];
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+      issues.push({ level: 'error', source: PROFILES_PATH, path: '', message: 'expected an object' });
+      return { profiles: [DEFAULT_PROFILE], defaultId: DEFAULT_PROFILE.id, issues };
+    }
+    checkObject(manifest, SCHEMAS.profiles, PROFILES_PATH, '', issues);
+
+    const seen = new Set();
+    const profiles = (Array.isArray(manifest.profiles) ? manifest.profiles : []).filter((p, i) => {
+      const ok = p && typeof p.id === 'string' && p.user && p.skills && p.ratings && !seen.has(p.id.toLowerCase());
+      if (p && typeof p.id === 'string' && seen.has(p.id.toLowerCase())) {
+        issues.push({ level: 'error', source: PROFILES_PATH, path: `profiles[${i}].id`, message: `duplicate profile id "${p.id}"` });
+      }
+      if (ok) seen.add(p.id.toLowerCase());
+      return ok;
+    });
+    if (manifest.default && !seen.has(String(manifest.default).toLowerCase())) {
+      issues.push({ level: 'error', source: PROFILES_PATH, path: 'default', message: `unknown default profile "${manifest.default}"` });
+    }
+    if (!profiles.length) return { profiles: [DEFAULT_PROFILE], defaultId: DEFAULT_PROFILE.id, issues };
+    return { profiles, defaultId: manifest.default || profiles[0].id, issues };
+  }
+
+  function requestedProfileId() {
+    const fromQuery = new URLSearchParams(window.location.search).get('u');
+    const fromPath = window.location.pathname.match(/\/u\/([^/]+)\/?$/);
+    return fromQuery || (fromPath ? decodeURIComponent(fromPath[1]) : null);
+  }
+
+  function findProfile(profiles, id) {
+    return id ? profiles.find(p => p.id.toLowerCase() === String(id).toLowerCase()) || null : null;
+  }
+
+  // Link to a profile's page, dropping view state that belongs to the current person
+  function profileUrl(id) {
+    const params = new URLSearchParams(window.location.search);
+    ROUTE_PARAMS.forEach(k => params.delete(k));
+    params.set('u', id);
+    const base = window.location.pathname.replace(/\/u\/[^/]+\/?$/, '/');
+    return `${base}?${params.toString()}`;
+  }
+
+  function setupProfileSwitcher() {
+    const multi = state.profiles.length > 1;
+    const switcher = $id('profile-switcher');
+    document.querySelectorAll('.multi-profile-only').forEach(n => { n.hidden = !multi; });
+    if (!switcher || !multi) return;
+    switcher.innerHTML = '';
+    state.profiles.forEach(p => switcher.append(el('option', { value: p.id }, p.name || p.id)));
+    switcher.value = state.profile.id;
+    switcher.addEventListener('change', () => { window.location.href = profileUrl(switcher.value); });
+  }
+
+  // -----------------------------
+  // Team overview (#/team): skills aggregated across every profile
+  // -----------------------------
+  const TEAM_DEFAULT_MIN = 7;
+  let teamDataPromise = null;
+
+  async function loadProfileData(profile) {
+    const [rawUser, rawSkills, ratings] = await Promise.all([profile.user, profile.skills, profile.ratings].map(fetchJSON));
+    const user = localizeData(rawUser, USER_DATA_SPEC);
+    const skills = localizeData(rawSkills, SKILLS_DATA_SPEC);
+    if (!Array.isArray(skills)) throw new Error(`${profile.skills} must be an array`);
+    const categoriesMap = {};
+    ((user && user.skillCategories) || []).forEach(c => { if (c && c.id) categoriesMap[c.id] = c.name || c.id; });
+    const { current, history } = normalizeRatings(ratings);
+    return {
+      profile,
+      user: user || {},
+      skills: skills.filter(s => s && s.id && s.visible !== false),
+      ratings: current,
+      history,
+      categoriesMap
+    };
+  }
+
+  const profileDataCache = {};
+  function loadProfileDataCached(profile) {
+    if (!profileDataCache[profile.id]) {
+      profileDataCache[profile.id] = loadProfileData(profile);
+      profileDataCache[profile.id].catch(() => { delete profileDataCache[profile.id]; });
+    }
+    return profileDataCache[profile.id];
+  }
+
+  function loadTeamData() {
+    if (!teamDataPromise) {
+      teamDataPromise = Promise.allSettled(state.profiles.map(loadProfileDataCached)).then(results => results.map((r, i) => {
+        if (r.status === 'fulfilled') return r.value;
+        console.warn(`Team overview: could not load profile "${state.profiles[i].id}":`, r.reason);
+        return { profile: state.profiles[i], error: String(r.reason) };
+      }));
+    }
+    return teamDataPromise;
+  }
+
+  function memberName(m) {
+    return m.profile.name || (m.user && (m.user.name || m.user.nickname)) || m.profile.id;
+  }
+
+  function memberLink(m) {
+    return el('a', { href: profileUrl(m.profile.id), class: 'text-accent hover:underline' }, memberName(m));
+  }
+
+  function renderTeamQuery(members, skillId, min) {
+    const out = $id('team-query-results');
+    if (!out) return;
+    out.innerHTML = '';
+    const matches = members
+      .map(m => {
+        const skill = m.skills.find(s => s.id === skillId);
+        return skill && isRated(skill, m.ratings) && m.ratings[skill.id] >= min ? { m, rating: m.ratings[skill.id] } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.rating - a.rating);
+    if (!matches.length) {
+      out.append(el('li', { class: 'text-text-secondary' }, t('team.nobody')));
+      return;
+    }
+    matches.forEach(({ m, rating }) => out.append(el('li', {}, memberLink(m), ` — ${rating}/10 • ${ratingName(rating)}`)));
+  }
+
+  async function renderTeam() {
+    const root = $id('team');
+    if (!root) return;
+    root.innerHTML = '';
+    root.append(el('p', { class: 'text-accent animate-pulse text-center py-8' }, t('team.loading')));
+
+    const loaded = await loadTeamData();
+    const members = loaded.filter(m => !m.error);
+    root.innerHTML = '';
+
+    // union of skills and categories across members
+    const skillNames = {};
+    const categories = {};
+    members.forEach(m => m.skills.forEach(s => {
+      skillNames[s.id] = skillNames[s.id] || s.name || s.id;
+      const key = categoryKey(s);
+      categories[key] = categories[key] || m.categoriesMap[key] || s.category || key;
+    }));
+
+    // "who has <skill> ≥ <min>"
+    const skillSelect = el('select', { id: 'team-skill', class: 'toolbar-input' },
+      Object.keys(skillNames).sort((a, b) => skillNames[a].localeCompare(skillNames[b])).map(id => el('option', { value: id }, skillNames[id])));
+    const minInput = el('input', { id: 'team-min', type: 'number', min: RATING_MIN, max: RATING_MAX, value: TEAM_DEFAULT_MIN, class: 'toolbar-input w-20' });
+    const update = () => renderTeamQuery(members, skillSelect.value, Number(minInput.value) || 0);
+    skillSelect.addEventListener('change', update);
+    minInput.addEventListener('input', update);
+    if (skillNames.python) skillSelect.value = 'python';
+
+    const query = el('section', { class: 'chart-card mb-4' },
+      el('h3', { class: 'font-bold text-accent mb-3' }, t('team.who')),
+      el('div', { class: 'flex flex-wrap gap-3 items-center mb-3' },
+        el('label', { for: 'team-skill', class: 'sr-only' }, t('col.skill')), skillSelect,
+        el('label', { for: 'team-min', class: 'text-sm text-text-secondary' }, t('team.atLeast')), minInput),
+      el('ul', { id: 'team-query-results', class: 'space-y-1 text-sm' }));
+
+    // coverage: per category, each member's skill count and average rating
+    const cell = (m, key) => {
+      const inCat = m.skills.filter(s => categoryKey(s) === key);
+      const rated = inCat.filter(s => isRated(s, m.ratings));
+      if (!inCat.length) return el('td', { class: 'team-cell empty' }, '—');
+      const avg = rated.length ? rated.reduce((sum, s) => sum + m.ratings[s.id], 0) / rated.length : null;
+      return el('td', { class: `team-cell ${avg != null ? bandClass(avg) : 'band-unrated'}`, title: t('team.cellTitle', { skills: t('count.skills', { count: inCat.length }), rated: rated.length }) },
+        `${inCat.length}`, avg != null ? el('span', { class: 'team-avg' }, ` · ${Math.round(avg * 10) / 10}`) : null);
+    };
+    const coverageRows = Object.keys(categories).sort((a, b) => categories[a].localeCompare(categories[b])).map(key => {
+      const covered = members.filter(m => m.skills.some(s => categoryKey(s) === key)).length;
+      return el('tr', {},
+        el('th', { scope: 'row' }, categories[key]),
+        members.map(m => cell(m, key)),
+        el('td', { class: 'team-cell' }, `${covered}/${members.length}`));
+    });
+    const coverage = el('section', { class: 'chart-card mb-4 overflow-x-auto' },
+      el('h3', { class: 'font-bold text-accent mb-1' }, t('team.coverage')),
+      el('p', { class: 'text-xs text-text-secondary mb-3' }, t('team.coverageNote')),
+      el('table', { class: 'team-table' },
+        el('thead', {}, el('tr', {}, el('th', { scope: 'col' }, t('col.category')),
+          members.map(m => el('th', { scope: 'col' }, memberLink(m))),
+          el('th', { scope: 'col' }, t('team.covered')))),
+        el('tbody', {}, coverageRows)));
+
+    const failed = loaded.filter(m => m.error);
+    root.append(
+      el('p', { class: 'text-sm text-text-secondary mb-4' }, `${t('count.profiles', { count: members.length })} • ${t('team.distinct', { count: Object.keys(skillNames).length })}`),
+      query,
+      coverage,
+      failed.length ? el('p', { class: 'text-xs text-text-secondary' }, t('team.failed', { ids: failed.map(m => m.profile.id).join(', ') })) : null
+    );
+    update();
+  }
+
+  // -----------------------------
+  // Compare (#/compare?a=<profile>[@date]&b=<profile>[@date]): two people, or
+  // one person at two dates (ratings from history, skills by startDate).
+  // -----------------------------
+  const DIFF_ORDER = ['added', 'removed', 'up', 'down', 'rated', 'same'];
+  const DIFF_LABELS = { added: 'diff.added', removed: 'diff.removed', up: 'diff.up', down: 'diff.down', rated: 'diff.rated', same: 'diff.same' };
+
+  // "hulo@2024-01-01" -> { id: 'hulo', date: '2024-01-01' }
+  function parseCompareSide(value) {
+    const [id, date] = String(value || '').split('@');
+    return { id: id || null, date: isValidDateString(date) ? date : null };
+  }
+
+  function formatCompareSide(side) {
+    return side.date ? `${side.id}@${side.date}` : side.id;
+  }
+
+  function defaultCompare() {
+    const id = state.profile ? state.profile.id : DEFAULT_PROFILE.id;
+    const lastYear = new Date();
+    lastYear.setFullYear(lastYear.getFullYear() - 1);
+    return { a: { id, date: lastYear.toISOString().slice(0, 10) }, b: { id, date: null } };
+  }
+
+  // A profile's skills/ratings as they stood on `date` (null = now)
+  function datasetAt(data, date) {
+    if (!date) return { skills: data.skills, ratings: data.ratings };
+    const skills = data.skills.filter(s => !isValidDateString(s.startDate) || s.startDate <= date);
+    const ratings = {};
+    skills.forEach(s => {
+      const entries = data.history[s.id];
+      if (entries) {
+        const past = entries.filter(e => e.date <= date);
+        if (past.length) ratings[s.id] = past[past.length - 1].rating;
+      } else if (isRated(s, data.ratings)) {
+        ratings[s.id] = data.ratings[s.id]; // flat rating: no history to go back to
+      }
+    });
+    return { skills, ratings };
+  }
+
+  function diffDatasets(a, b) {
+    const aById = new Map(a.skills.map(s => [s.id, s]));
+    const bById = new Map(b.skills.map(s => [s.id, s]));
+    const ids = [...new Set([...aById.keys(), ...bById.keys()])];
+    return ids.map(id => {
+      const before = aById.get(id), after = bById.get(id);
+      const ra = before && isRated(before, a.ratings) ? a.ratings[id] : null;
+      const rb = after && isRated(after, b.ratings) ? b.ratings[id] : null;
+      let status = 'same';
+      if (!before) status = 'added';
+      else if (!after) status = 'removed';
+      else if (ra == null && rb != null) status = 'rated';
+      else if (ra != null && rb != null && rb > ra) status = 'up';
+      else if (ra != null && rb != null && rb < ra) status = 'down';
+      return { id, skill: after || before, before: ra, after: rb, status };
+    }).sort((x, y) => DIFF_ORDER.indexOf(x.status) - DIFF_ORDER.indexOf(y.status) || (x.skill.name || '').localeCompare(y.skill.name || ''));
+  }
+
+  function diffCard(entry) {
+    const card = createSkillCard(entry.skill, entry.after != null ? entry.after : (entry.before || 0), { interactive: false });
+    card.classList.add(`diff-${entry.status}`);
+    const change = entry.status === 'added' ? t('diff.newBadge') : entry.status === 'removed' ? t('diff.removedBadge')
+      : `${entry.before != null ? entry.before : '—'} → ${entry.after != null ? entry.after : '—'}`;
+    card.append(el('span', { class: `diff-badge diff-${entry.status}` }, change));
+    card.title = t(DIFF_LABELS[entry.status]);
+    return card;
+  }
+
+  function compareSideControls(name, side) {
+    const select = el('select', { id: `compare-${name}-profile`, class: 'toolbar-input' },
+      state.profiles.map(p => el('option', { value: p.id }, p.name || p.id)));
+    select.value = side.id;
+    const date = el('input', { id: `compare-${name}-date`, type: 'date', class: 'toolbar-input', value: side.date || '', 'aria-label': t('compare.dateLabel', { side: name.toUpperCase() }) });
+    const onChange = () => {
+      state.compare[name] = { id: select.value, date: isValidDateString(date.value) ? date.value : null };
+      history.replaceState(history.state, '', routeUrl(null));
+      renderCompare();
+    };
+    select.addEventListener('change', onChange);
+    date.addEventListener('change', onChange);
+    return el('div', { class: 'flex flex-wrap gap-2 items-center' },
+      el('span', { class: 'font-bold text-accent' }, name.toUpperCase()),
+      el('label', { for: select.id, class: 'sr-only' }, t('compare.profileLabel', { side: name.toUpperCase() })), select, date);
+  }
+
+  function sideLabel(side) {
+    const p = findProfile(state.profiles, side.id);
+    return `${(p && (p.name || p.id)) || side.id} (${side.date ? formatDate(side.date, 'day') : t('compare.now')})`;
+  }
+
+  // Bumped per render; an older render still awaiting profile data bails out instead of appending twice
+  let compareRenderToken = 0;
+
+  async function renderCompare() {
+    const root = $id('compare');
+    if (!root) return;
+    const token = ++compareRenderToken;
+    if (!state.compare) state.compare = defaultCompare();
+    const { a, b } = state.compare;
+    root.innerHTML = '';
+    root.append(el('div', { class: 'chart-card mb-4 flex flex-wrap gap-6 items-center' },
+      compareSideControls('a', a), compareSideControls('b', b)));
+
+    const [pa, pb] = [findProfile(state.profiles, a.id), findProfile(state.profiles, b.id)];
+    if (!pa || !pb) {
+      root.append(el('p', { class: 'text-text-secondary' }, t('notice.profileNotFound', { id: !pa ? a.id : b.id })));
+      return;
+    }
+
+    let left, right;
+    try {
+      [left, right] = await Promise.all([loadProfileDataCached(pa), loadProfileDataCached(pb)]);
+    } catch (err) {
+      if (token !== compareRenderToken) return;
+      root.append(el('p', { class: 'text-text-secondary' }, t('compare.loadFailed', { error: err.message })));
+      return;
+    }
+    if (token !== compareRenderToken) return;
+    const before = datasetAt(left, a.date);
+    const after = datasetAt(right, b.date);
+    const diff = diffDatasets(before, after);
+    const changed = diff.filter(d => d.status !== 'same');
+
+    const counts = DIFF_ORDER.map(st => ({ st, n: diff.filter(d => d.status === st).length })).filter(c => c.n);
+    const summary = el('p', { class: 'text-sm text-text-secondary mb-4' },
+      `${sideLabel(a)} → ${sideLabel(b)}: `,
+      counts.flatMap((c, i) => [i ? ' • ' : '', el('span', { class: `diff-text diff-${c.st}` }, `${c.n} ${t(DIFF_LABELS[c.st]).toLocaleLowerCase(i18n.locale)}`)]));
+
+    const table = el('section', { class: 'chart-card mb-4 overflow-x-auto' },
+      el('h3', { class: 'font-bold text-accent mb-3' }, t('compare.changes')),
+      changed.length
+        ? el('table', { class: 'team-table' },
+          el('thead', {}, el('tr', {}, [t('col.skill'), t('col.category'), 'A', 'B', t('col.change')].map(h => el('th', { scope: 'col' }, h)))),
+          el('tbody', {}, changed.map(d => el('tr', {},
+            el('th', { scope: 'row' }, d.skill.name || d.id),
+            el('td', {}, d.skill.category || categoryKey(d.skill)),
+            el('td', {}, d.before != null ? String(d.before) : '—'),
+            el('td', {}, d.after != null ? String(d.after) : '—'),
+            el('td', { class: `diff-text diff-${d.status}` },
+              t(DIFF_LABELS[d.status]) + (d.before != null && d.after != null && d.before !== d.after ? ` (${d.after > d.before ? '+' : ''}${d.after - d.before})` : ''))))))
+        : el('p', { class: 'text-sm text-text-secondary' }, t('compare.none')));
+
+    // the regular category grid, built from both sides and colored by change
+    const byId = new Map(diff.map(d => [d.id, d]));
+    const categoriesMap = Object.assign({}, left.categoriesMap, right.categoriesMap);
+    const { container } = buildCategorySections(diff.map(d => d.skill), Object.assign({}, before.ratings, after.ratings), categoriesMap,
+      skill => diffCard(byId.get(skill.id)));
+
+    root.append(summary, table, el('h3', { class: 'font-bold text-accent mb-3' }, t('compare.grid')), container);
+  }
+
+  // -----------------------------
+  // Full-page views (#/resume, #/team) shown in place of the skills page
+  // -----------------------------
+  const PAGES = {
+    resume: {
+      container: 'resume-view',
+      focus: 'resume-back-btn',
+      render: () => renderResume(state.user, state.skills, state.ratings, state.categoriesMap)
+    },
+    team: {
+      container: 'team-view',
+      focus: 'team-back-btn',
+      render: () => renderTeam()
+    },
+    compare: {
+      container: 'compare-view',
+      focus: 'compare-back-btn',
+      render: () => renderCompare()
+    },
+    edit: {
+      container: 'edit-view',
+      focus: 'edit-back-btn',
+      render: () => app.renderEditor()
+    }
+  };
+  function setPage(page) {
+    state.page = PAGES[page] ? page : 'skills';
+    document.body.classList.toggle('resume-mode', state.page === 'resume');
+    if ($id('page')) $id('page').hidden = state.page !== 'skills';
+    Object.entries(PAGES).forEach(([name, def]) => {
+      if ($id(def.container)) $id(def.container).hidden = name !== state.page;
+    });
+    const def = PAGES[state.page];
+    if (def) {
+      def.render();
+      if ($id(def.focus)) $id(def.focus).focus();
+      window.scrollTo(0, 0);
+    }
+  }
+
+  function openPage(page, { push = false } = {}) {
+    if (state.openSkillId) closeSkillModal({ fromHistory: true });
+    setPage(page);
+    if (push) {
+      history.pushState({ page }, '', routeUrl(null));
+    } else {
+      history.replaceState(null, '', routeUrl(null));
+    }
+  }
+
+  function closePage() {
+    setPage('skills');
+    if (history.state && history.state.page) {
+      history.back();
+    } else {
+      history.replaceState(null, '', routeUrl(null));
+    }
+  }
+
+  function setupPages() {
+    document.querySelectorAll('[data-close-page]').forEach(b => b.addEventListener('click', closePage));
+    if ($id('resume-print-btn')) $id('resume-print-btn').addEventListener('click', () => window.print());
+    if ($id('team-overview-btn')) $id('team-overview-btn').addEventListener('click', () => openPage('team', { push: true }));
+    if ($id('compare-btn')) $id('compare-btn').addEventListener('click', () => openPage('compare', { push: true }));
+  }
+
+  // -----------------------------
+  // Routing: the open skill lives in the hash (#/skill/<id>),
+  // view state in the query string (?q=&cat=&level=&tag=&min=&sort=).
+  // -----------------------------
+  const ROUTE_PARAMS = ['q', 'cat', 'level', 'tag', 'min', 'sort', 'view', 'a', 'b', 'edit'];
+
+  function parseRoute() {
+    const params = new URLSearchParams(window.location.search);
+    const list = key => params.getAll(key).flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+    const min = parseFloat(params.get('min'));
+    const match = window.location.hash.match(/^#\/skill\/(.+)$/);
+    const pageMatch = window.location.hash.match(/^#\/(\w+)$/);
+    const page = pageMatch && PAGES[pageMatch[1]] ? pageMatch[1] : 'skills';
+    return {
+      query: params.get('q') || '',
+      categories: list('cat'),
+      bands: list('level').map(b => RATING_BANDS.find(x => x.toLowerCase() === b.toLowerCase())).filter(Boolean),
+      tags: list('tag'),
+      minRating: isNaN(min) ? null : Math.max(RATING_MIN, Math.min(RATING_MAX, min)),
+      sort: SORT_MODES[params.get('sort')] ? params.get('sort') : 'priority',
+      view: VIEWS[params.get('view')] ? params.get('view') : 'grid',
+      skillId: match ? decodeURIComponent(match[1]) : null,
+      page,
+      edit: params.get('edit') === '1' || page === 'edit',
+      compare: params.get('a') || params.get('b')
+        ? { a: parseCompareSide(params.get('a')), b: parseCompareSide(params.get('b')) }
+        : null
+    };
+  }
+
+  function applyRoute(route) {
+    state.filters.query = route.query;
+    state.filters.categories = new Set(route.categories);
+    state.filters.bands = new Set(route.bands);
+    state.filters.tags = new Set(route.tags);
+    state.filters.minRating = route.minRating;
+    state.sort = route.sort;
+    state.view = route.view;
+    if (route.compare) {
+      const fallback = defaultCompare();
+      state.compare = {
+        a: route.compare.a.id ? route.compare.a : fallback.a,
+        b: route.compare.b.id ? route.compare.b : fallback.b
+      };
+    }
+  }
+
+  function routeUrl(skillId) {
+    // Keep unrelated params (e.g. ?debug=1) intact
+    const params = new URLSearchParams(window.location.search);
+    ROUTE_PARAMS.forEach(k => params.delete(k));
+    const f = state.filters;
+    if (f.query) params.set('q', f.query);
+    f.categories.forEach(c => params.append('cat', c));
+    f.bands.forEach(b => params.append('level', b.toLowerCase()));
+    f.tags.forEach(t => params.append('tag', t));
+    if (f.minRating != null) params.set('min', String(f.minRating));
+    if (state.sort !== 'priority') params.set('sort', state.sort);
+    if (state.view !== 'grid') params.set('view', state.view);
+    if (state.editing) params.set('edit', '1');
+    if (state.page === 'compare' && state.compare) {
+      params.set('a', formatCompareSide(state.compare.a));
+      params.set('b', formatCompareSide(state.compare.b));
+    }
+    const qs = params.toString();
+    const hash = skillId ? `#/skill/${encodeURIComponent(skillId)}` : (PAGES[state.page] ? `#/${state.page}` : '');
+    return `${window.location.pathname}${qs ? `?${qs}` : ''}${hash}`;
+  }
+
+  function syncUrl() {
+    const url = routeUrl(state.openSkillId);
+    if (url !== window.location.pathname + window.location.search + window.location.hash) {
+      history.replaceState(history.state, '', url);
+    }
+  }
+
+  function setupRouting() {
+    window.addEventListener('popstate', () => {
+      const route = parseRoute();
+      applyRoute(route);
+      if (route.page !== state.page) setPage(route.page);
+      refreshGrid();
+      if (route.skillId) {
+        if (route.skillId !== state.openSkillId) showSkill(route.skillId);
+      } else if (state.openSkillId) {
+        closeSkillModal({ fromHistory: true });
+      }
+    });
+  }
+
+  // -----------------------------
+  // User header/footer population
+  // -----------------------------
+  function populateHeader(user) {
+    if (!user) return;
+    if ($id('user-name')) $id('user-name').textContent = user.name || user.nickname || '—';
     if ($id('user-title')) $id('user-title').textContent = user.title || '';
     if ($id('user-about')) $id('user-about').textContent = user.about || '';
     if ($id('profile-picture')) {
@@ -310,15 +2343,25 @@
     }
     if ($id('user-location')) $id('user-location').textContent = user.location || '';
 
-    // CV / download button (index.html uses a button)
+    // CV / download button (index.html uses a button). The file is probed up front so the
+    // click can usually open it synchronously; a click before the probe settles waits for it.
+    // Without a reachable file it falls back to the generated résumé.
     const cvBtn = $id('download-cv-btn');
     if (cvBtn) {
-      cvBtn.addEventListener('click', (ev) => {
+      const cv = user.cvUrl || '';
+      const probe = cv ? probeUrl(cv) : Promise.resolve(false);
+      let cvAvailable = null;
+      probe.then(ok => { cvAvailable = ok; });
+      const openCv = (ok) => {
+        if (ok) window.open(cv, '_blank', 'noopener');
+        else openPage('resume', { push: true });
+      };
+      // onclick (not addEventListener) so re-populating after edits replaces the handler
+      cvBtn.onclick = (ev) => {
         ev.preventDefault();
-        const cv = user.cvUrl || '';
-        if (!cv) return alert('CV not available.');
-        window.open(cv, '_blank', 'noopener');
-      });
+        if (cvAvailable === null) probe.then(openCv);
+        else openCv(cvAvailable);
+      };
     }
 
    // social links container
@@ -346,7 +2389,7 @@
           rel: 'noopener noreferrer',
           title: `${link.platform || ''} • ${link.username || ''}`,
           'aria-label': `${link.platform || ''} • ${link.username || ''}`,
-          class: 'flex items-center gap-2 px-3 py-2 rounded-md bg-accent bg-opacity-10 text-accent text-sm font-medium hover:bg-accent hover:text-white transition-colors'
+          class: 'flex items-center gap-2 px-3 py-2 rounded-md bg-accent-soft text-accent text-sm font-medium hover:bg-accent hover:text-primary transition-colors'
         },
           el('span', { class: 'inline-block', html: iconSvg }),
           // username visible on sm+ screens
@@ -360,24 +2403,412 @@
     // footer name
     if ($id('footer-name')) $id('footer-name').textContent = user.name || '—';
     if ($id('copyright-year')) $id('copyright-year').textContent = String((new Date()).getFullYear());
+
+    populateProfileExtras(user);
+  }
+
+  // -----------------------------
+  // Profile extras: availability, certifications roadmap, achievements,
+  // interests and contact card. Each block stays hidden when its field is absent.
+  // -----------------------------
+  const CERT_STATUS_ORDER = ['Completed', 'In Progress', 'Planned', 'Long-term goal'];
+  let clockTimer = null;
+
+  // "Ethical Hacker (CEH) - In Progress" -> { name: 'Ethical Hacker (CEH)', status: 'In Progress' }
+  function parseCertification(text) {
+    const m = String(text).match(/^(.*)\s[-–—]\s(.+)$/);
+    if (!m) return { name: String(text).trim(), status: 'Completed' };
+    const raw = m[2].trim();
+    const status = CERT_STATUS_ORDER.find(s => s.toLowerCase() === raw.toLowerCase()) || raw;
+    return { name: m[1].trim(), status };
+  }
+
+  /**
+   * Accepts an IANA zone ("Asia/Kolkata") or a label with a GMT/UTC offset
+   * ("IST (GMT+5:30)"). Returns { label, timeZone?, offsetMinutes? } or null.
+   */
+  function parseTimezone(tz) {
+    if (!tz) return null;
+    try {
+      new Intl.DateTimeFormat('en', { timeZone: tz });
+      return { label: tz, timeZone: tz };
+    } catch (_) { /* not an IANA name */ }
+    const m = String(tz).match(/(?:GMT|UTC)\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?/i);
+    if (!m) return { label: tz };
+    const minutes = Number(m[2]) * 60 + Number(m[3] || 0);
+    return { label: tz, offsetMinutes: m[1] === '-' ? -minutes : minutes };
+  }
+
+  function ownerTime(zone, now) {
+    if (zone.timeZone) {
+      return now.toLocaleTimeString(i18n.locale, { hour: '2-digit', minute: '2-digit', timeZone: zone.timeZone });
+    }
+    const shifted = new Date(now.getTime() + zone.offsetMinutes * 60000);
+    return shifted.toLocaleTimeString(i18n.locale, { hour: '2-digit', minute: '2-digit', timeZone: 'UTC' });
+  }
+
+  // Offset of the owner's zone relative to the visitor, in minutes (positive = owner ahead)
+  function zoneDifference(zone, now) {
+    if (zone.timeZone) {
+      const asOwner = new Date(now.toLocaleString('en-US', { timeZone: zone.timeZone }));
+      const asLocal = new Date(now.toLocaleString('en-US'));
+      return Math.round((asOwner - asLocal) / 60000);
+    }
+    return zone.offsetMinutes + now.getTimezoneOffset();
+  }
+
+  function formatDifference(minutes) {
+    if (!minutes) return t('extras.sameTime');
+    const abs = Math.abs(minutes);
+    const time = `${Math.floor(abs / 60)}h${abs % 60 ? ` ${abs % 60}m` : ''}`;
+    return t(minutes > 0 ? 'extras.ahead' : 'extras.behind', { time });
+  }
+
+  function showCard(id, show) {
+    const card = $id(id);
+    if (card) card.hidden = !show;
+    return show ? card : null;
+  }
+
+  function populateProfileExtras(user) {
+    // stop the previous contact-card clock even if the card ends up hidden this time
+    clearInterval(clockTimer);
+    clockTimer = null;
+    const contact = user.contact || {};
+    const experience = user.experience || {};
+
+    // availability badge
+    const badge = $id('availability-badge');
+    if (badge) {
+      const known = typeof contact.availableForWork === 'boolean' || experience.workStatus;
+      badge.hidden = !known;
+      if (known) {
+        const open = contact.availableForWork !== false;
+        badge.className = `availability-badge ${open ? 'available' : 'unavailable'}`;
+        badge.textContent = experience.workStatus || t(open ? 'extras.available' : 'extras.unavailable');
+      }
+    }
+    if ($id('user-role')) {
+      $id('user-role').hidden = !experience.currentRole;
+      $id('user-role').textContent = experience.currentRole || '';
+    }
+
+    // certifications roadmap, grouped by status
+    const certs = (user.certifications || []).map(parseCertification);
+    const certCard = showCard('certifications-card', certs.length > 0);
+    if (certCard) {
+      const list = $id('certifications-list');
+      list.innerHTML = '';
+      const statuses = [...new Set(certs.map(c => c.status))]
+        .sort((a, b) => (CERT_STATUS_ORDER.indexOf(a) + 1 || 99) - (CERT_STATUS_ORDER.indexOf(b) + 1 || 99));
+      statuses.forEach(status => {
+        const slug = status.toLowerCase().replace(/[^a-z]+/g, '-');
+        list.append(el('li', { class: 'roadmap-group' },
+          el('span', { class: `roadmap-status status-${slug}` }, hasMessage(`cert.${slug}`) ? t(`cert.${slug}`) : status),
+          el('ul', {}, certs.filter(c => c.status === status).map(c => el('li', { class: 'text-text-secondary' }, c.name)))
+        ));
+      });
+    }
+
+    const fillList = (cardId, listId, items) => {
+      if (!showCard(cardId, Boolean(items && items.length))) return;
+      const list = $id(listId);
+      list.innerHTML = '';
+      items.forEach(i => list.append(el('li', { class: 'text-text-secondary' }, i)));
+    };
+    fillList('achievements-card', 'achievements-list', user.achievements);
+    fillList('interests-card', 'interests-list', user.interests);
+
+    // contact card + visitor vs owner clock
+    const zone = parseTimezone(contact.timezone);
+    const contactCard = showCard('contact-card', Boolean(contact.email || contact.phone || zone));
+    if (contactCard) {
+      const details = $id('contact-details');
+      details.innerHTML = '';
+      const preferred = (contact.preferredContactMethod || '').toLowerCase();
+      const row = (method, label, href) => el('li', {},
+        el('a', { href, class: 'text-accent hover:underline' }, label),
+        preferred === method ? el('span', { class: 'text-xs text-text-secondary' }, t('extras.preferred')) : null);
+      if (contact.email) details.append(row('email', contact.email, `mailto:${contact.email}`));
+      if (contact.phone) details.append(row('phone', contact.phone, `tel:${contact.phone.replace(/\s+/g, '')}`));
+
+      const clock = $id('contact-clock');
+      if (clock) {
+        clock.hidden = !zone;
+        const tick = () => {
+          const now = new Date();
+          const known = zone.timeZone || zone.offsetMinutes != null;
+          clock.textContent = known
+            ? t('extras.clock', {
+              name: user.nickname || user.name || t('extras.me'),
+              time: ownerTime(zone, now),
+              zone: zone.label,
+              difference: formatDifference(zoneDifference(zone, now)),
+              local: now.toLocaleTimeString(i18n.locale, { hour: '2-digit', minute: '2-digit' })
+            })
+            : t('extras.timezone', { zone: zone.label });
+        };
+        if (zone) {
+          tick();
+          clockTimer = setInterval(tick, 30000);
+        }
+      }
+    }
+
+    showCard('profile-extras', Boolean(certs.length || (user.achievements || []).length || (user.interests || []).length || contactCard));
+  }
+
+  // -----------------------------
+  // Themes: dark / light / high-contrast via data-theme on <html>.
+  // Precedence: the visitor's toggle (localStorage) > user.json theme.default > OS
+  // preference. The owner's theme.accent feeds --user-accent (ignored by high-contrast).
+  // -----------------------------
+  const THEME_KEY = 'skills-matrix:theme';
+  const THEMES = { auto: 'theme.auto', dark: 'theme.dark', light: 'theme.light', 'high-contrast': 'theme.high-contrast' };
+  const themeState = { ownerDefault: 'auto' };
+
+  function storedTheme() {
+    try {
+      const t = localStorage.getItem(THEME_KEY);
+      return THEMES[t] ? t : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function mediaMatches(query) {
+    return Boolean(window.matchMedia && window.matchMedia(query).matches);
+  }
+
+  function resolveTheme(choice) {
+    if (choice !== 'auto') return choice;
+    if (mediaMatches('(prefers-contrast: more)') || mediaMatches('(forced-colors: active)')) return 'high-contrast';
+    return mediaMatches('(prefers-color-scheme: light)') ? 'light' : 'dark';
+  }
+
+  function currentThemeChoice() {
+    return storedTheme() || themeState.ownerDefault;
+  }
+
+  function applyTheme() {
+    const choice = currentThemeChoice();
+    const theme = resolveTheme(choice);
+    document.documentElement.dataset.theme = theme;
+    const accent = getComputedStyle(document.documentElement).getPropertyValue('--accent').trim();
+    const meta = document.querySelector('meta[name="theme-color"]');
+    if (meta && accent && !accent.startsWith('var(')) meta.setAttribute('content', accent);
+    const btn = $id('theme-toggle');
+    if (btn) {
+      btn.textContent = t(choice === 'auto' ? 'theme.buttonAuto' : 'theme.button', { name: t(THEMES[choice]), resolved: t(THEMES[theme]) });
+      btn.setAttribute('aria-label', t('theme.aria', { name: t(THEMES[choice]) }));
+    }
+  }
+
+  // user.json { theme: { default: 'auto'|'dark'|'light'|'high-contrast', accent: '<css colour>' } }
+  function applyUserTheme(theme) {
+    const t = theme || {};
+    themeState.ownerDefault = THEMES[t.default] ? t.default : 'auto';
+    const root = document.documentElement;
+    const validAccent = t.accent && (!window.CSS || !CSS.supports || CSS.supports('color', t.accent));
+    if (validAccent) root.style.setProperty('--user-accent', t.accent);
+    else root.style.removeProperty('--user-accent');
+    if (t.accent && !validAccent) console.warn(`user.json theme.accent "${t.accent}" is not a CSS colour — using the default accent.`);
+    applyTheme();
+  }
+
+  function setupThemeToggle() {
+    applyTheme();
+    const btn = $id('theme-toggle');
+    if (btn) btn.addEventListener('click', () => {
+      const order = Object.keys(THEMES);
+      const next = order[(order.indexOf(currentThemeChoice()) + 1) % order.length];
+      try {
+        localStorage.setItem(THEME_KEY, next);
+      } catch (err) {
+        console.warn('Could not remember theme choice:', err);
+      }
+      applyTheme();
+    });
+    // follow OS changes while the choice is "auto"
+    if (window.matchMedia) {
+      ['(prefers-color-scheme: light)', '(prefers-contrast: more)', '(forced-colors: active)'].forEach(q => {
+        const mq = window.matchMedia(q);
+        if (mq.addEventListener) mq.addEventListener('change', applyTheme);
+        else if (mq.addListener) mq.addListener(applyTheme);
+      });
+    }
+  }
+
+  // -----------------------------
+  // Offline support: service worker registration and cached-data indicator
+  // -----------------------------
+  function formatAge(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return t('age.justNow');
+    if (minutes < 60) return t('age.minutes', { count: minutes });
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return t('age.hours', { count: hours });
+    return t('age.days', { count: Math.round(hours / 24) });
+  }
+
+  // A cached response is normal while sw.js revalidates it; its age is only worth showing
+  // when the visitor is offline or the refresh failed. Snapshots always mean a failed fetch.
+  function renderDataStatus(updated = false) {
+    const old = $id('data-status');
+    if (old) old.remove();
+    const sources = Object.entries(dataSources)
+      .filter(([path, s]) => s.via === 'snapshot' || navigator.onLine === false || staleUrls.has(new URL(path, window.location.href).href))
+      .map(([, s]) => s);
+    if (!sources.length && !updated) return;
+
+    const status = el('div', { id: 'data-status', class: 'data-status', role: 'status' });
+    if (updated) {
+      status.append(t('status.newer'),
+        el('button', { type: 'button', class: 'text-accent hover:underline', onclick: () => window.location.reload() }, t('status.reload')));
+    } else {
+      const oldest = Math.min(...sources.map(s => s.cachedAt));
+      status.title = new Date(oldest).toLocaleString(i18n.locale);
+      status.append(t(navigator.onLine === false ? 'status.offline' : 'status.showing', { via: t(`status.via.${sources[0].via}`), age: formatAge(Date.now() - oldest) }));
+    }
+    document.body.append(status);
+  }
+
+  function canUseServiceWorker() {
+    return 'serviceWorker' in navigator && /^https?:$/.test(window.location.protocol);
+  }
+
+  function isProfileDataUrl(url) {
+    const p = state.profile;
+    return Boolean(p) && [p.user, p.skills, p.ratings].some(f => new URL(f, window.location.href).href === url);
+  }
+
+  // Attached before the first fetch: sw.js may report on a revalidation while data is still loading
+  function listenToServiceWorker() {
+    if (!canUseServiceWorker()) return;
+    navigator.serviceWorker.addEventListener('message', (ev) => {
+      const msg = ev.data || {};
+      const path = Object.keys(dataSources).find(p => new URL(p, window.location.href).href === msg.url);
+      if (msg.type === 'data-fresh') {
+        if (msg.url) freshUrls.add(msg.url);
+        if (!path) return;
+        delete dataSources[path];
+        renderDataStatus();
+      } else if (msg.type === 'data-offline') {
+        if (msg.url) staleUrls.add(msg.url);
+        if (path) renderDataStatus();
+      } else if (msg.type === 'data-updated' && isProfileDataUrl(msg.url)) {
+        renderDataStatus(true);
+      }
+    });
+    window.addEventListener('online', () => renderDataStatus());
+    window.addEventListener('offline', () => renderDataStatus());
+  }
+
+  function registerServiceWorker() {
+    if (!canUseServiceWorker()) return;
+    navigator.serviceWorker.register('sw.js').catch(err => console.warn('Service worker registration failed:', err));
+  }
+
+  // -----------------------------
+  // Apply a loaded (or edited) data set: derive categories/ratings, fill the
+  // header and the summary sections. Grid/toolbar are refreshed by the caller.
+  // -----------------------------
+  function applyData(userData, skillsData, ratingsData) {
+    // Resolve { en, bn, ... } text for the active locale (copies; the raw data keeps every locale)
+    userData = localizeData(userData, USER_DATA_SPEC);
+    skillsData = localizeData(skillsData, SKILLS_DATA_SPEC);
+
+    // Build categories map from userData.skillCategories if present
+    const categoriesMap = {};
+    (userData.skillCategories || []).forEach(cat => {
+      if (cat && cat.id) categoriesMap[cat.id] = cat.name || cat.title || cat.id;
+    });
+
+    // If skills have categoryId but not category, populate category text from categoriesMap
+    skillsData.forEach(s => {
+      if (!s.category && s.categoryId && categoriesMap[s.categoryId]) s.category = categoriesMap[s.categoryId];
+    });
+
+    applyUserTheme(userData.theme);
+
+    // Populate header/profile using user.json
+    try {
+      populateHeader(userData);
+    } catch (e) {
+      console.warn('populateHeader error', e);
+    }
+
+    // If user.experience.totalYears exists, use it for the experience stat; otherwise compute from skills
+    const experienceYears = (userData && userData.experience && Number(userData.experience.totalYears)) || computeExperienceYearsFromSkills(skillsData) || 0;
+
+    const { current: ratingsMap, history: ratingHistory } = normalizeRatings(ratingsData);
+
+    state.skills = skillsData;
+    state.ratings = ratingsMap;
+    state.ratingHistory = ratingHistory;
+    state.categoriesMap = categoriesMap;
+    state.experienceYears = experienceYears;
+    state.user = userData;
+
+    renderOverview(skillsData, ratingsMap, categoriesMap);
+    renderTrendStats(skillsData, ratingHistory);
+  }
+
+  // -----------------------------
+  // Feature files (graph.js, editor.js, import.js, export.js) load before this one and
+  // register an install(app) on window.SkillsMatrix. installFeatures() passes them the
+  // helpers they use and merges what they return into `app`, which is how this file
+  // calls back into them. Later features can use what earlier ones return.
+  // -----------------------------
+  const FEATURES = ['graph', 'editor', 'import', 'export'];
+  const app = {};
+
+  function installFeatures() {
+    Object.assign(app, {
+      $id, el, svgEl, t, state, RATING_MAX, categoryColor, categoryKey, categoryLegend,
+      isRated, ratingName, renderFilteredStats, showSkill, skillEdges,
+      DEFAULT_PROFILE, RATING_BANDS, SKILL_LINK_FIELDS, THEMES, i18n, isLocalizedText, localizedText,
+      applyData, chip, clone, closePage, downloadFile, formatAge, issueSummary, normalizeRatings,
+      openPage, refreshGrid, renderToolbar, showNotice, validateData, isValidDateString, slugify,
+      SORT_MODES, filteredSkills, hasActiveFilters, parseCertification, ratingLabel
+    });
+    FEATURES.forEach(name => Object.assign(app, window.SkillsMatrix[name].install(app)));
   }
 
   // -----------------------------
   // Init: fetch all JSONs in parallel & render
   // -----------------------------
   async function init() {
-    console.info('script.js initializing: fetching user.json, skills.json, ratings.json...');
+    installFeatures();
+    listenToServiceWorker();
+    setupThemeToggle();
+    await loadLocale(requestedLocale());
+    setupLocaleSwitcher();
+    applyTheme();
+    showLoader(t('loader.init'));
+
+    // Resolve which person to show (profiles.json + ?u=<id> or /u/<id>)
+    const { profiles, defaultId, issues: profileIssues } = await loadProfiles();
+    const requested = requestedProfileId();
+    let profile = findProfile(profiles, requested);
+    if (requested && !profile) {
+      console.warn(`Profile "${requested}" not found — showing the default profile.`);
+      showNotice(t('notice.profileNotFound', { id: requested }));
+    }
+    profile = profile || findProfile(profiles, defaultId) || profiles[0];
+    state.profiles = profiles;
+    state.profile = profile;
 
-    showLoader('Initializing skill matrix... Accessing data nodes...');
+    console.info(`script.js initializing: fetching ${profile.user}, ${profile.skills}, ${profile.ratings}...`);
 
     let userData = null, skillsData = null, ratingsData = null;
     let fetchErrors = {};
 
     try {
       const promises = await Promise.allSettled([
-        fetchJSON('user.json'),
-        fetchJSON('skills.json'),
-        fetchJSON('ratings.json')
+        fetchJSON(profile.user, { track: true }),
+        fetchJSON(profile.skills, { track: true }),
+        fetchJSON(profile.ratings, { track: true })
       ]);
 
       // Map results
@@ -400,46 +2831,50 @@
     if (!skillsData) { console.warn('skills.json not loaded — falling back to embedded skills.'); skillsData = FALLBACK_SKILLS; }
     if (!ratingsData) { console.warn('ratings.json not loaded — falling back to embedded ratings.'); ratingsData = FALLBACK_RATINGS; }
 
-    // Validate shapes
+    // Validate against schemas and surface problems (console + optional ?debug=1 panel)
+    const issues = profileIssues.concat(validateData(userData, skillsData, ratingsData));
+    Object.entries(fetchErrors).forEach(([key, message]) => {
+      issues.unshift({ level: 'error', source: key === 'general' ? 'fetch' : `${key}.json`, path: '', message: `failed to load (${message}) — using embedded fallback data` });
+    });
+    reportDiagnostics(issues);
+
+    // Shape errors are fatal: nothing sensible can be rendered
     if (!Array.isArray(skillsData)) {
       console.error('skills.json must be an array. Got:', skillsData);
-      showLoader('Error: skills.json malformed — check console.');
+      showLoader(t('loader.skillsMalformed'));
       return;
     }
     if (!ratingsData || typeof ratingsData !== 'object' || Array.isArray(ratingsData)) {
-      console.error('ratings.json must be an object mapping ids to numbers. Got:', ratingsData);
-      showLoader('Error: ratings.json malformed — check console.');
+      console.error('ratings.json must be an object mapping ids to ratings. Got:', ratingsData);
+      showLoader(t('loader.ratingsMalformed'));
       return;
     }
 
-    // Build categories map from userData.skillCategories if present
-    const categoriesMap = {};
-    (userData.skillCategories || []).forEach(cat => {
-      if (cat && cat.id) categoriesMap[cat.id] = cat.name || cat.title || cat.id;
-    });
-
-    // If skills have categoryId but not category, populate category text from categoriesMap
-    skillsData.forEach(s => {
-      if (!s.category && s.categoryId && categoriesMap[s.categoryId]) s.category = categoriesMap[s.categoryId];
-    });
-
-    // Populate header/profile using user.json
-    try {
-      populateHeader(userData);
-    } catch (e) {
-      console.warn('populateHeader error', e);
-    }
-
-    // If user.experience.totalYears exists, use it for the experience stat; otherwise compute from skills
-    const experienceYears = (userData && userData.experience && Number(userData.experience.totalYears)) || computeExperienceYearsFromSkills(skillsData) || 0;
+    // Keep pristine copies so edit mode can be left without a reload
+    state.original = { user: clone(userData), skills: clone(skillsData), ratings: clone(ratingsData) };
+    if (parseRoute().edit) app.enterEditMode();
+    else applyData(userData, skillsData, ratingsData);
 
-    // Render grid and stats (renderSkillsGrid computes its own experience; we'll set explicit)
-    renderSkillsGrid(skillsData, ratingsData, categoriesMap);
-    // override experience-years if user provided
-    if ($id('experience-years')) $id('experience-years').textContent = `${experienceYears}+`;
+    // Restore view state from the URL, then toolbar (search / filter chips / sort), grid and stats
+    const route = parseRoute();
+    applyRoute(route);
+    setupToolbar();
+    refreshGrid();
 
-    // Modal close wiring
+    // Modal close wiring and back/forward handling; reopen a deep-linked skill
     setupModalClose();
+    setupGridKeyboardNav();
+    setupProfileSwitcher();
+    setupPages();
+    app.setupEditor();
+    app.setupExportMenu();
+    setupRouting();
+    if (route.skillId) showSkill(route.skillId);
+    else if (PAGES[route.page]) openPage(route.page);
+
+    // Offline support: show when cached data is on screen, then keep the cache warm
+    renderDataStatus();
+    registerServiceWorker();
 
     // Log fetch failures to console for debugging
     if (Object.keys(fetchErrors).length) {
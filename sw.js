@@ -0,0 +1,137 @@
+/* ==================================================================================
+   sw.js — offline support for the skills matrix.
+   - Precaches the app shell, the data files, the locale catalogs and the skill logos.
+   - Stale-while-revalidate for the shell, data and images: cached copy first, network
+     refresh behind it. Other requests (CDN scripts, fonts, ...) go straight to the network.
+   - Data responses carry an X-Cached-At header so the page can show how old they are,
+     and clients get a 'data-fresh' / 'data-updated' / 'data-offline' message once
+     revalidation finishes.
+   ================================================================================== */
+
+// Bump whenever a SHELL_FILES entry changes, otherwise visitors keep getting the previous
+// deploy's shell from cache (the browser only re-installs the worker when sw.js changes).
+const VERSION = 'v15';
+const SHELL_CACHE = `skills-shell-${VERSION}`;
+const DATA_CACHE = `skills-data-${VERSION}`;
+const IMAGE_CACHE = `skills-images-${VERSION}`;
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+const SHELL_FILES = ['./', 'index.html', 'style.css', 'print.css', 'i18n.js', 'graph.js', 'editor.js', 'import.js', 'export.js', 'script.js', 'pfp.jpg', 'manifest.webmanifest'];
+const DATA_FILES = ['profiles.json', 'user.json', 'skills.json', 'ratings.json', 'locales/bn.json', 'locales/hi.json'];
+
+function scoped(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+function isShellRequest(url) {
+  return url.origin === self.location.origin && SHELL_FILES.some(f => scoped(f) === url.origin + url.pathname);
+}
+
+function isDataRequest(url) {
+  return url.origin === self.location.origin && url.pathname.endsWith('.json');
+}
+
+// Copy of a response stamped with the time it was cached
+async function stamped(resp) {
+  const headers = new Headers(resp.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+  return new Response(await resp.clone().blob(), { status: resp.status, statusText: resp.statusText, headers });
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(c => c.postMessage(message));
+}
+
+async function precacheLogos() {
+  try {
+    const resp = await fetch(scoped('skills.json'), { cache: 'no-store' });
+    const skills = await resp.json();
+    const cache = await caches.open(IMAGE_CACHE);
+    const urls = [...new Set((Array.isArray(skills) ? skills : []).map(s => s && s.imageUrl).filter(Boolean))];
+    // cache.add() rejects opaque (status 0) cross-origin responses, so fetch and put by hand
+    await Promise.allSettled(urls.map(async u => {
+      const req = new Request(u, { mode: 'no-cors' });
+      const res = await fetch(req);
+      if (res.ok || res.type === 'opaque') await cache.put(req, res);
+    }));
+  } catch (err) {
+    console.warn('sw: could not precache skill logos', err);
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES.map(scoped));
+    const data = await caches.open(DATA_CACHE);
+    await Promise.allSettled(DATA_FILES.map(async f => {
+      const resp = await fetch(scoped(f), { cache: 'no-store' });
+      if (resp.ok) await data.put(scoped(f), await stamped(resp));
+    }));
+    await precacheLogos();
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith('skills-') && !keep.includes(n)).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+// Data: answer from cache, refresh in the background and tell the page whether it changed
+async function dataResponse(request, event) {
+  const cache = await caches.open(DATA_CACHE);
+  const key = request.url;
+  const cached = await cache.match(key);
+
+  const refresh = fetch(request, { cache: 'no-store' }).then(async resp => {
+    if (!resp.ok) return resp;
+    const changed = !cached || (await cached.clone().text()) !== (await resp.clone().text());
+    await cache.put(key, await stamped(resp));
+    if (cached) notifyClients({ type: changed ? 'data-updated' : 'data-fresh', url: key });
+    return resp;
+  });
+
+  if (cached) {
+    // the page only shows the cached copy's age once it knows the refresh failed
+    const stale = () => notifyClients({ type: 'data-offline', url: key });
+    event.waitUntil(refresh.then(resp => (resp.ok ? null : stale()), stale));
+    return cached;
+  }
+  return refresh;
+}
+
+// Shell and images: plain stale-while-revalidate (opaque cross-origin logos included)
+async function staleWhileRevalidate(request, cacheName, event) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+  const refresh = fetch(request).then(resp => {
+    if (resp.ok || resp.type === 'opaque') cache.put(request, resp.clone());
+    return resp;
+  });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh.catch(async () => (request.mode === 'navigate' ? cache.match(scoped('index.html')) : Response.error()));
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (!/^https?:$/.test(url.protocol)) return;
+
+  if (isDataRequest(url)) {
+    event.respondWith(dataResponse(request, event));
+  } else if (request.destination === 'image') {
+    event.respondWith(staleWhileRevalidate(request, IMAGE_CACHE, event));
+  } else if (isShellRequest(url)) {
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE, event));
+  }
+});